@@ -0,0 +1,202 @@
+/**
+ * Agent registry — discovers the apps the server can run instead of assuming adk_chat.
+ * An app is a prebuilt bundle agents/.build/<app>.cjs, or (with devBuild) a source entry
+ * agents/<app>/agent.ts that is bundled with esbuild on first use. Both export rootAgent (or default).
+ * App names are restricted to [A-Za-z0-9_-] so a request can never point outside agentsDir.
+ *
+ * With hotReload, source agents are built through an esbuild watch context instead: every change under
+ * the agent's imports rebuilds the bundle, drops it from the require cache and calls onReload(appName) so
+ * the caller can drop its cached Runner. A failed build is thrown by load() until the next good one.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import { createLogger } from './logger.mjs';
+
+const log = createLogger('agents');
+
+const APP_NAME = /^[A-Za-z0-9_][A-Za-z0-9_-]*$/;
+const require = createRequire(import.meta.url);
+
+export function isValidAppName(appName) {
+  return typeof appName === 'string' && APP_NAME.test(appName);
+}
+
+/** esbuild messages as "file:line:col: text" lines. */
+function formatBuildErrors(errors) {
+  return errors
+    .map((e) => (e.location ? `${e.location.file}:${e.location.line}:${e.location.column}: ${e.text}` : e.text))
+    .join('\n');
+}
+
+async function exists(p) {
+  return fs.access(p).then(() => true, () => false);
+}
+
+function modelName(model) {
+  if (!model) return null;
+  return typeof model === 'string' ? model : model.model ?? null;
+}
+
+/**
+ * Metadata for /list-apps?detailed=true, read from the loaded root agent.
+ */
+export function describeAgent(appName, agent, source) {
+  return {
+    name: appName,
+    rootAgentName: agent?.name ?? appName,
+    description: agent?.description ?? '',
+    model: modelName(agent?.model),
+    tools: (agent?.tools ?? []).map((tool) => tool?.name).filter((name) => typeof name === 'string'),
+    subAgents: (agent?.subAgents ?? []).map((sub) => sub?.name).filter(Boolean),
+    source,
+  };
+}
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.agentsDir - Directory holding .build/<app>.cjs (and <app>/agent.ts in dev)
+ * @param {boolean} [opts.devBuild] - Also list and build agents/<app>/agent.ts without a prebuilt bundle
+ * @param {boolean} [opts.hotReload] - Watch source agents and rebuild on change (needs devBuild)
+ * @param {(appName: string) => void} [opts.onReload] - Called after a source agent was rebuilt
+ */
+export function createAgentRegistry({ agentsDir, devBuild = false, hotReload = false, onReload }) {
+  const buildDir = path.join(agentsDir, '.build');
+  const bundlePath = (appName) => path.join(buildDir, `${appName}.cjs`);
+  const sourcePath = (appName) => path.join(agentsDir, appName, 'agent.ts');
+  const buildOptions = (appName) => ({
+    entryPoints: [sourcePath(appName)],
+    outfile: bundlePath(appName),
+    platform: 'node',
+    format: 'cjs',
+    bundle: true,
+    packages: 'bundle',
+  });
+  /** app name → { context, ready: Promise, error: string | null } (hotReload only) */
+  const watchers = new Map();
+
+  /** app name → 'prebuilt' | 'source' */
+  async function discover() {
+    const apps = new Map();
+    const built = await fs.readdir(buildDir).catch(() => []);
+    for (const file of built) {
+      // *.bundle.cjs are helper chunks, not apps (and are never deployed)
+      if (!file.endsWith('.cjs') || file.endsWith('.bundle.cjs')) continue;
+      const appName = file.slice(0, -'.cjs'.length);
+      if (isValidAppName(appName)) apps.set(appName, 'prebuilt');
+    }
+    if (devBuild) {
+      const entries = await fs.readdir(agentsDir, { withFileTypes: true }).catch(() => []);
+      for (const entry of entries) {
+        // With hot reload the bundle is the watcher's own output, so the source is what runs
+        if (!entry.isDirectory() || !isValidAppName(entry.name) || (apps.has(entry.name) && !hotReload)) continue;
+        if (await exists(sourcePath(entry.name))) apps.set(entry.name, 'source');
+      }
+    }
+    return apps;
+  }
+
+  /**
+   * Start (once) an esbuild watch context for a source agent; resolves after its first build.
+   */
+  function watch(appName) {
+    if (watchers.has(appName)) return watchers.get(appName).ready;
+    const watcher = { context: null, ready: null, error: null };
+    watchers.set(appName, watcher);
+    watcher.ready = (async () => {
+      const esbuild = (await import('esbuild')).default;
+      await fs.mkdir(buildDir, { recursive: true });
+      let firstBuild = true;
+      let resolveFirst;
+      const built = new Promise((resolve) => {
+        resolveFirst = resolve;
+      });
+      const reloadPlugin = {
+        name: 'adk-hot-reload',
+        setup(build) {
+          build.onEnd((result) => {
+            if (result.errors.length) {
+              watcher.error = formatBuildErrors(result.errors);
+              log.warn('Agent build failed', { appName, errors: watcher.error });
+            } else {
+              watcher.error = null;
+              delete require.cache[path.resolve(bundlePath(appName))];
+              if (!firstBuild) log.info('Agent rebuilt', { appName });
+            }
+            if (firstBuild) {
+              firstBuild = false;
+              resolveFirst();
+            } else {
+              // Also after a failed build, so the next run reports the error instead of using the old agent
+              onReload?.(appName);
+            }
+          });
+        },
+      };
+      watcher.context = await esbuild.context({ ...buildOptions(appName), logLevel: 'silent', plugins: [reloadPlugin] });
+      await watcher.context.watch();
+      await built;
+    })();
+    // A failed start (e.g. esbuild missing) is retried by the next load
+    watcher.ready.catch(() => watchers.delete(appName));
+    return watcher.ready;
+  }
+
+  function requireAgent(appName, outPath) {
+    const mod = require(path.resolve(outPath));
+    const agent = mod.rootAgent || mod.default;
+    if (!agent) throw new Error(`No rootAgent in ${appName}`);
+    return agent;
+  }
+
+  return {
+    /** Sorted app names. */
+    async list() {
+      return [...(await discover()).keys()].sort();
+    },
+
+    /** 'prebuilt' | 'source' | null */
+    async source(appName) {
+      if (!isValidAppName(appName)) return null;
+      if (hotReload && devBuild && (await exists(sourcePath(appName)))) return 'source';
+      if (await exists(bundlePath(appName))) return 'prebuilt';
+      if (devBuild && (await exists(sourcePath(appName)))) return 'source';
+      return null;
+    },
+
+    /**
+     * Load an app's root agent, building agents/<app>/agent.ts first when there is no prebuilt bundle (devBuild).
+     */
+    async load(appName) {
+      if (!isValidAppName(appName)) throw new Error(`Invalid app name: ${appName}`);
+      const outPath = bundlePath(appName);
+      // Hot reload: source wins over a (possibly stale) bundle
+      if (hotReload && devBuild && (await exists(sourcePath(appName)))) {
+        await watch(appName);
+        const { error } = watchers.get(appName);
+        if (error) throw new Error(`Build failed for ${appName}:\n${error}`);
+        return requireAgent(appName, outPath);
+      }
+      if (await exists(outPath)) return requireAgent(appName, outPath);
+
+      if (!devBuild) {
+        throw new Error(`Agent not found: ${outPath}. Run npm run build:server first.`);
+      }
+
+      // Dev fallback: build on the fly (requires esbuild in node_modules)
+      const agentPath = sourcePath(appName);
+      if (!(await exists(agentPath))) throw new Error(`Agent not found: ${agentPath}`);
+      const esbuild = (await import('esbuild')).default;
+      await fs.mkdir(buildDir, { recursive: true });
+      await esbuild.build(buildOptions(appName));
+      return requireAgent(appName, outPath);
+    },
+
+    /** Stop all watch contexts. */
+    async dispose() {
+      const contexts = [...watchers.values()].map((w) => w.context).filter(Boolean);
+      watchers.clear();
+      await Promise.all(contexts.map((context) => context.dispose()));
+    },
+  };
+}
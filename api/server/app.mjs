@@ -0,0 +1,1055 @@
+/**
+ * Shared Express app factory — used by the embedded server (server.mjs) and the Vercel entry (api/index.mjs).
+ * Features differ per deployment only through capability flags, so fixes to streaming, retry and
+ * session handling land in both at once.
+ */
+import express from 'express';
+import cors from 'cors';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  Runner,
+  InMemoryMemoryService,
+  InMemoryArtifactService,
+  StreamingMode,
+  createEvent,
+  stringifyContent,
+} from '@google/adk';
+import { createPersistentSessionService } from './persistent-session-service.mjs';
+import { isValidSessionKey } from './session-store.mjs';
+import { createRequestContext, getRequestContext, runWithRequestContext } from './request-context.mjs';
+import { createAuthMiddleware, createKeyVerifier, parseAllowedOrigins, resolveUserId } from './auth.mjs';
+import { createToolRelay } from './tool-relay.mjs';
+import { abortable, createRunRegistry } from './run-registry.mjs';
+import { eventsToChatMessages, proxyChatStream } from './chat-stream.mjs';
+import { PINS_STATE_KEY, addPin, getPins, parsePinCommand, pinnedEventIds, removePin } from './pins.mjs';
+import { SUMMARY_STATE_KEY, isSummaryEvent } from './rolling-summary.mjs';
+import { groupEventUnits } from './event-units.mjs';
+import { createLogger } from './logger.mjs';
+import { metrics, renderMetrics } from './metrics.mjs';
+import { getInitStatus } from './context-shared.mjs';
+import { createAgentRegistry, describeAgent, isValidAppName } from './agent-registry.mjs';
+import { getModelRouter, isFallbackError, isTokenLimitError } from './model-router.mjs';
+import { getCredentialStore } from './provider-credentials.mjs';
+import { flushTracing, initTracing, traceHeaders, tracingEnabledFromEnv, withSpan } from './tracing.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const log = createLogger('run_sse');
+const STARTED_AT = Date.now();
+const DEFAULT_AGENTS_DIR = path.join(__dirname, '..', 'agents');
+/** Session state key holding the user-visible conversation title. */
+const SESSION_TITLE_KEY = 'title';
+/** Session state key holding what the last /run_sse request sent to the model (see GET .../context). */
+const LAST_CONTEXT_KEY = 'lastContext';
+const TITLE_PREVIEW_CHARS = 60;
+
+function extractUserMessageText(msg) {
+  if (!msg?.parts) return '';
+  return msg.parts.map((p) => p?.text ?? '').join('');
+}
+
+const USER_MESSAGE_MARKER = '[User message]\n';
+
+/**
+ * The prompt the user typed. The VS Code client sends "[User message]\n<prompt>", after an optional
+ * "[Attached context]" block; slash commands, titles and previews use the prompt alone.
+ */
+function userPrompt(text) {
+  const at = (text || '').lastIndexOf(USER_MESSAGE_MARKER);
+  return at === -1 ? text || '' : text.slice(at + USER_MESSAGE_MARKER.length);
+}
+
+const TOOL_RESULT_SUMMARY_CHARS = 300;
+const CANCELLED_MARKER = '[Response cancelled — partial]';
+
+/** Short, single-line preview of a function response for toolResult frames. */
+function summarizeToolResponse(response) {
+  if (response === undefined || response === null) return '';
+  const raw = typeof response === 'string' ? response : JSON.stringify(response);
+  const text = (raw ?? '').replace(/\s+/g, ' ').trim();
+  return text.length > TOOL_RESULT_SUMMARY_CHARS ? `${text.slice(0, TOOL_RESULT_SUMMARY_CHARS - 1)}…` : text;
+}
+
+/** Tools report failure as { error } or { ok|success: false }; anything else counts as success. */
+function isToolResponseOk(response) {
+  if (!response || typeof response !== 'object') return true;
+  return !response.error && response.ok !== false && response.success !== false;
+}
+
+/** Map ADK usageMetadata onto the usage frame shape. */
+function toUsage(usageMetadata) {
+  return {
+    promptTokens: usageMetadata.promptTokenCount ?? 0,
+    completionTokens: usageMetadata.candidatesTokenCount ?? 0,
+    thoughtsTokens: usageMetadata.thoughtsTokenCount ?? 0,
+    totalTokens: usageMetadata.totalTokenCount ?? 0,
+  };
+}
+
+/** Title for session lists: explicit state title, else the first user message. */
+function deriveSessionTitle(session) {
+  const title = session?.state?.[SESSION_TITLE_KEY];
+  if (typeof title === 'string' && title.trim()) return title.trim();
+  const firstUser = (session?.events || []).find((ev) => ev?.author === 'user' && extractUserMessageText(ev.content).trim());
+  const text = userPrompt(extractUserMessageText(firstUser?.content)).trim().replace(/\s+/g, ' ');
+  if (!text) return null;
+  return text.length > TITLE_PREVIEW_CHARS ? `${text.slice(0, TITLE_PREVIEW_CHARS - 1)}…` : text;
+}
+
+/** One-line preview of an event for pin and context listings. */
+function eventPreview(ev) {
+  const text = userPrompt(
+    (ev?.content?.parts ?? [])
+      .filter((p) => !p?.thought)
+      .map((p) => p?.text ?? '')
+      .join(''),
+  )
+    .trim()
+    .replace(/\s+/g, ' ');
+  if (text) return text.length > TITLE_PREVIEW_CHARS ? `${text.slice(0, TITLE_PREVIEW_CHARS - 1)}…` : text;
+  const part = ev?.content?.parts?.find((p) => p?.functionCall || p?.functionResponse);
+  if (part?.functionCall) return `[tool call: ${part.functionCall.name}]`;
+  if (part?.functionResponse) return `[tool result: ${part.functionResponse.name}]`;
+  return '';
+}
+
+/** Largest index <= atEvent that doesn't split a tool call/response unit (see event-units.mjs). */
+function unitBoundaryAtOrBefore(events, atEvent) {
+  const units = groupEventUnits(events);
+  let cut = atEvent;
+  let moved = true;
+  while (moved) {
+    moved = false;
+    for (const unit of units) {
+      if (unit[0] < cut && unit[unit.length - 1] >= cut) {
+        cut = unit[0];
+        moved = true;
+      }
+    }
+  }
+  return cut;
+}
+
+/** Run summarise (aggressive trim) before retry. Sets budget factor for next getSession. Uses retryTrimPercent from request; context strategies preserve higher-priority messages. */
+function runSummariseOnTokenError() {
+  const ctx = getRequestContext();
+  if (ctx) ctx.retryTokenBudgetFactor = ctx.retryTrimPercent / 100;
+}
+
+/**
+ * Create the ADK Express app.
+ * @param {Object} [options]
+ * @param {string} [options.agentsDir] - Directory holding .build/<app>.cjs (and <app>/agent.ts in dev)
+ * @param {boolean} [options.devBuild=true] - Also list agents/<app>/agent.ts and build it with esbuild when no prebuilt bundle exists (see agent-registry.mjs)
+ * @param {boolean} [options.compaction] - Wrap sessions in CompactingSessionService (default: ADK_ENABLE_COMPACTION=1)
+ * @param {boolean} [options.contextStrategies] - Run context middleware around /run_sse (default: ADK_ENABLE_CONTEXT_STRATEGIES=1)
+ * @param {boolean} [options.contextToolsEndpoint=true] - Serve POST /context-tools (501 when false)
+ * @param {boolean} [options.pathRewrite=false] - Honour Vercel's ?__path= rewrite param
+ * @param {string[]} [options.allowedOrigins] - CORS origins (default: ADK_ALLOWED_ORIGINS; '*' only when auth is off)
+ * @param {Object} [options.auth] - { keys, secret } for createKeyVerifier (default: ADK_API_KEYS / ADK_AUTH_SECRET)
+ * @param {boolean} [options.tracing] - Export OpenTelemetry spans over OTLP (default: see tracingEnabledFromEnv in tracing.mjs)
+ * @param {Object} [options.traceExporter] - SpanExporter to use instead of OTLP (tests)
+ * @param {boolean} [options.hotReload] - Rebuild source agents on change (default: ADK_AGENT_HOT_RELOAD=1; needs devBuild)
+ * @param {Object} [options.toolRelay] - Tool relay to use instead of createToolRelay() (see tool-relay.mjs)
+ * @returns {Promise<import('express').Express>}
+ */
+export async function createApp(options = {}) {
+  const {
+    agentsDir = DEFAULT_AGENTS_DIR,
+    devBuild = true,
+    compaction = process.env.ADK_ENABLE_COMPACTION === '1',
+    contextStrategies = process.env.ADK_ENABLE_CONTEXT_STRATEGIES === '1',
+    contextToolsEndpoint = true,
+    pathRewrite = false,
+    allowedOrigins = parseAllowedOrigins(process.env.ADK_ALLOWED_ORIGINS),
+    auth = {},
+    tracing = tracingEnabledFromEnv(),
+    hotReload = process.env.ADK_AGENT_HOT_RELOAD === '1',
+    traceExporter,
+  } = options;
+
+  if (tracing) await initTracing({ exporter: traceExporter });
+
+  // A rebuilt agent gets a new Runner on its next run; sessions live in the session service and are kept
+  const agents = createAgentRegistry({ agentsDir, devBuild, hotReload, onReload: (appName) => runnerCache.delete(appName) });
+
+  // Session store picked by ADK_SESSION_STORE (memory | file | redis) — see session-store.mjs
+  const baseSessionService = createPersistentSessionService();
+  const tokenBudget = parseInt(process.env.ADK_CONTEXT_RANK_TOKEN_BUDGET || '4000', 10) || 4000;
+  const bufferTokens = parseInt(process.env.ADK_CONTEXT_BUFFER_TOKENS || '2200', 10) || 2200;
+  const compactionTriggerRatio = parseFloat(process.env.ADK_COMPACTION_TRIGGER_RATIO || '0.8') || 0.8;
+  const compactionTargetRatio = parseFloat(process.env.ADK_COMPACTION_TARGET_RATIO || '0.5') || 0.5;
+  const compactionMinTokens = parseInt(process.env.ADK_COMPACTION_MIN_TOKENS || '1000', 10) || 0;
+
+  let sessionService = baseSessionService;
+  /** Set when compaction is on; scheduleCompaction() runs after each response. */
+  let compactingService = null;
+
+  if (compaction) {
+    const { createLlmEventSummarizer } = await import('./llm-event-summarizer.mjs');
+    const { summarizerLlm } = await import('./summarizer-llm.mjs');
+    const { createCompactingSessionService } = await import('./compacting-session-service.mjs');
+    const summarizer = createLlmEventSummarizer(summarizerLlm);
+    compactingService = createCompactingSessionService(baseSessionService, {
+      summarizer,
+      defaultContextLimit: tokenBudget,
+      reserveTokens: bufferTokens,
+      triggerRatio: compactionTriggerRatio,
+      targetRatio: compactionTargetRatio,
+      minTokensToCompact: compactionMinTokens,
+    });
+    sessionService = compactingService;
+  }
+
+  // Always apply trimming to prevent "prompt too long" errors (uses FIFO fallback when context strategies unavailable)
+  const { createTrimmingSessionService, completeContextReport, appendedRunEvents } = await import('./trimming-session-service.mjs');
+  sessionService = createTrimmingSessionService(sessionService, tokenBudget, bufferTokens);
+  const artifactService = new InMemoryArtifactService();
+  const memoryService = new InMemoryMemoryService();
+  const runnerCache = new Map();
+  const modelRouter = getModelRouter();
+  /** appName → { status: 'ok' | 'error', loadMs?, error?, at } for /healthz. */
+  const agentStatus = new Map();
+
+  /** Runners are shared across requests; per-caller settings (tool executor URL, model) come from the request context. */
+  async function getRunner(appName) {
+    if (runnerCache.has(appName)) return runnerCache.get(appName);
+    const startedAt = Date.now();
+    let agent;
+    try {
+      agent = await agents.load(appName);
+    } catch (err) {
+      agentStatus.set(appName, { status: 'error', error: err.message, at: Date.now() });
+      metrics.errors.inc({ source: 'agent_load' });
+      log.error('Agent failed to load', { appName, err });
+      throw err;
+    }
+    agentStatus.set(appName, { status: 'ok', loadMs: Date.now() - startedAt, at: Date.now() });
+    log.info('Agent loaded', { appName, loadMs: Date.now() - startedAt });
+    const runner = new Runner({
+      appName,
+      agent,
+      sessionService,
+      memoryService,
+      artifactService,
+    });
+    runnerCache.set(appName, runner);
+    return runner;
+  }
+
+  const app = express();
+  /** The agent registry; agents.dispose() stops hot-reload watchers when the server shuts down. */
+  app.locals.agents = agents;
+  if (pathRewrite) {
+    // Behind Vercel's proxy: req.protocol comes from X-Forwarded-Proto (used for relay URLs)
+    app.set('trust proxy', true);
+    // Vercel rewrites pass original path as __path query param (apps route); the request's other
+    // query params (sessionId, atEvent, from, ...) ride along and must survive the rewrite
+    app.use((req, res, next) => {
+      const pathParam = req.query?.__path;
+      if (typeof pathParam === 'string' && pathParam.startsWith('/')) {
+        const query = new URLSearchParams(req.url.slice(req.url.indexOf('?') + 1));
+        query.delete('__path');
+        const search = query.toString();
+        req.url = search ? `${pathParam}${pathParam.includes('?') ? '&' : '?'}${search}` : pathParam;
+      }
+      next();
+    });
+  }
+  const verifyKey = createKeyVerifier(auth);
+  // Bearer keys don't need CORS; browsers only get in from explicitly allowed origins once auth is on
+  app.use(cors({ origin: allowedOrigins ?? (verifyKey ? false : '*') }));
+  app.use(express.json({ limit: '50mb' }));
+
+  /** Liveness/readiness for probes — unauthenticated, reveals only load status. 503 once an agent or context strategies failed to load. */
+  app.get('/healthz', (_, res) => {
+    const agents = Object.fromEntries(agentStatus);
+    const contextStatus = contextStrategies ? getInitStatus() : { status: 'disabled' };
+    const ok = ![...agentStatus.values()].some((a) => a.status === 'error') && contextStatus.status !== 'error';
+    res.status(ok ? 200 : 503).json({
+      ok,
+      uptimeSeconds: Math.round((Date.now() - STARTED_AT) / 1000),
+      agents,
+      contextStrategies: contextStatus,
+      compaction: Boolean(compactingService),
+    });
+  });
+
+  const toolRelay = options.toolRelay ?? createToolRelay();
+
+  /** Relayed tool executor — same contract as the extension's POST /run. The unguessable channel id is the credential (agents send no API key). */
+  app.post('/tool-relay/:channelId/run', async (req, res) => {
+    if (!(await toolRelay.has(req.params.channelId))) return res.status(404).json({ error: 'Tool relay channel not connected' });
+    try {
+      const result = await withSpan('tool_relay', { kind: 'server', parentHeaders: req.headers }, () =>
+        toolRelay.call(req.params.channelId, req.body ?? {}, traceHeaders()),
+      );
+      res.json(result);
+    } catch (err) {
+      res.status(502).json({ error: err.message });
+    }
+  });
+
+  if (verifyKey) app.use(createAuthMiddleware(verifyKey));
+
+  const runs = createRunRegistry();
+
+  /** Prometheus scrape endpoint (counters since process start). */
+  app.get('/metrics', (_, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+  });
+
+  /** Stop a streaming run (runId comes from the run's first SSE frame). */
+  app.post('/runs/:runId/cancel', (req, res) => {
+    if (!runs.cancel(req.params.runId, 'Cancelled by user', req.auth?.userId)) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    res.json({ ok: true });
+  });
+
+  /** Resume a run's stream: replays frames after Last-Event-ID (or ?from=N), then tails the run while it's going. */
+  app.get('/runs/:runId/stream', (req, res) => {
+    const run = runs.get(req.params.runId, req.auth?.userId);
+    if (!run) return res.status(404).json({ error: 'Run not found' });
+    const from = Number(req.query.from ?? req.get('Last-Event-ID') ?? 0);
+    if (!Number.isInteger(from) || from < 0) return res.status(400).json({ error: 'from must be a non-negative integer' });
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+    runs.attach(run, res, from);
+  });
+
+  /** Extension side of the relay: SSE stream of relayCall frames for one session (?channelId= resumes a dropped one). */
+  app.get('/tool-relay/connect', async (req, res) => {
+    const { sessionId, channelId } = req.query;
+    if (typeof sessionId !== 'string' || !sessionId) return res.status(400).json({ error: 'sessionId is required' });
+    await toolRelay.connect(res, { userId: resolveUserId(req, req.query.userId), sessionId, channelId: typeof channelId === 'string' ? channelId : undefined });
+  });
+
+  app.post('/tool-relay/:channelId/results/:callId', async (req, res) => {
+    const { channelId, callId } = req.params;
+    if (!(await toolRelay.resolve(channelId, callId, req.body, req.auth?.userId))) return res.status(404).json({ error: 'Unknown relay call' });
+    res.json({ ok: true });
+  });
+
+  /** App names (ADK's contract); ?detailed=true loads each agent and returns { apps: [{ name, description, model, tools, ... }] }. */
+  app.get('/list-apps', async (req, res) => {
+    const names = await agents.list();
+    if (req.query.detailed !== 'true') return res.json(names);
+    const apps = [];
+    for (const name of names) {
+      const source = await agents.source(name);
+      try {
+        const runner = await getRunner(name);
+        apps.push(describeAgent(name, runner.agent, source));
+      } catch (err) {
+        apps.push({ name, source, error: err.message });
+      }
+    }
+    res.json({ apps });
+  });
+
+  /** Context tools endpoint — for agent tools when using HTTP executor (optional) */
+  app.post('/context-tools', async (req, res) => {
+    if (!contextToolsEndpoint) {
+      return res.status(501).json({ error: 'Context tools endpoint disabled on this deployment' });
+    }
+    const { tool, args } = req.body || {};
+    if (!tool) return res.status(400).json({ error: 'tool is required' });
+    try {
+      const { executeTool } = await import('./context-tools-executor.mjs');
+      const result = await executeTool(tool, args || {});
+      res.json(result);
+    } catch (err) {
+      res.status(500).json({ error: err?.message || String(err) });
+    }
+  });
+
+  // Session keys become file paths in the file store; reject anything that could leave ADK_SESSION_DIR
+  app.param('appName', (req, res, next, appName) => {
+    if (!isValidAppName(appName)) return res.status(400).json({ error: `Invalid app name: ${appName}` });
+    next();
+  });
+  for (const name of ['userId', 'sessionId']) {
+    app.param(name, (req, res, next, value) => {
+      if (!isValidSessionKey(value)) return res.status(400).json({ error: `Invalid ${name}` });
+      next();
+    });
+  }
+
+  app.post('/apps/:appName/users/:userId/sessions/:sessionId', async (req, res) => {
+    const { appName, sessionId } = req.params;
+    const userId = resolveUserId(req, req.params.userId);
+    const existing = await sessionService.getSession({ appName, userId, sessionId });
+    if (existing) return res.status(400).json({ error: 'Session exists' });
+    const session = await sessionService.createSession({ appName, userId, sessionId, state: {} });
+    res.json(session);
+  });
+
+  app.get('/apps/:appName/users/:userId/sessions/:sessionId', async (req, res) => {
+    const { appName, sessionId } = req.params;
+    const userId = resolveUserId(req, req.params.userId);
+    const session = await sessionService.getSession({ appName, userId, sessionId });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    res.json(session);
+  });
+
+  /** Conversation history: sessions with titles and last activity, most recent first. */
+  app.get('/apps/:appName/users/:userId/sessions', async (req, res) => {
+    const { appName } = req.params;
+    const userId = resolveUserId(req, req.params.userId);
+    const { sessions } = await sessionService.listSessions({ appName, userId });
+    const items = [];
+    for (const s of sessions) {
+      let title = deriveSessionTitle(s);
+      if (!title) {
+        const full = await baseSessionService.getSession({ appName, userId, sessionId: s.id });
+        title = deriveSessionTitle(full);
+      }
+      items.push({ id: s.id, title, lastUpdateTime: s.lastUpdateTime });
+    }
+    items.sort((a, b) => (b.lastUpdateTime || 0) - (a.lastUpdateTime || 0));
+    res.json({ sessions: items });
+  });
+
+  app.delete('/apps/:appName/users/:userId/sessions/:sessionId', async (req, res) => {
+    const { appName, sessionId } = req.params;
+    const userId = resolveUserId(req, req.params.userId);
+    const existing = await baseSessionService.getSession({ appName, userId, sessionId });
+    if (!existing) return res.status(404).json({ error: 'Session not found' });
+    await sessionService.deleteSession({ appName, userId, sessionId });
+    res.status(204).end();
+  });
+
+  /** Set the display title (body: { title }); an empty title clears it. */
+  app.patch('/apps/:appName/users/:userId/sessions/:sessionId', async (req, res) => {
+    const { appName, sessionId } = req.params;
+    const userId = resolveUserId(req, req.params.userId);
+    const { title } = req.body || {};
+    if (title !== undefined && title !== null && typeof title !== 'string') {
+      return res.status(400).json({ error: 'title must be a string' });
+    }
+    const state = await baseSessionService.updateState({ appName, userId, sessionId }, { [SESSION_TITLE_KEY]: title?.trim() || null });
+    if (!state) return res.status(404).json({ error: 'Session not found' });
+    res.json({ id: sessionId, title: state[SESSION_TITLE_KEY] ?? null });
+  });
+
+  /**
+   * Branch a conversation: copy state and the first atEvent events (default: all) into a new session.
+   * A cut inside a tool call/response unit moves back to the unit's start, so the fork never holds an
+   * unanswered call; state that describes the source's later history (context report, pins past the cut) is dropped.
+   */
+  app.post('/apps/:appName/users/:userId/sessions/:sessionId/fork', async (req, res) => {
+    const { appName, sessionId } = req.params;
+    const userId = resolveUserId(req, req.params.userId);
+    const source = await baseSessionService.getSession({ appName, userId, sessionId });
+    if (!source) return res.status(404).json({ error: 'Session not found' });
+
+    const atEvent = req.query.atEvent === undefined ? source.events.length : Number(req.query.atEvent);
+    if (!Number.isInteger(atEvent) || atEvent < 0 || atEvent > source.events.length) {
+      return res.status(400).json({ error: `atEvent must be an integer between 0 and ${source.events.length}` });
+    }
+    const newSessionId = req.body?.sessionId;
+    if (newSessionId !== undefined && !isValidSessionKey(newSessionId)) return res.status(400).json({ error: 'Invalid sessionId' });
+    if (newSessionId && (await baseSessionService.getSession({ appName, userId, sessionId: newSessionId }))) {
+      return res.status(400).json({ error: 'Session exists' });
+    }
+
+    const cut = unitBoundaryAtOrBefore(source.events, atEvent);
+    const events = source.events.slice(0, cut);
+    const kept = new Set(events.map((ev) => ev.id));
+    const sourceTitle = deriveSessionTitle(source);
+    const state = { ...source.state };
+    delete state[LAST_CONTEXT_KEY];
+    const pins = getPins(source.state).filter((pin) => kept.has(pin.eventId));
+    if (pins.length) state[PINS_STATE_KEY] = pins;
+    else delete state[PINS_STATE_KEY];
+    // The rolling summary describes what the summary event replaced; without that event it describes nothing here
+    if (!events.some(isSummaryEvent)) delete state[SUMMARY_STATE_KEY];
+    if (sourceTitle) state[SESSION_TITLE_KEY] = `${sourceTitle} (fork)`;
+    const fork = await baseSessionService.createSession({ appName, userId, sessionId: newSessionId, state });
+    const key = { appName, userId, sessionId: fork.id };
+    await baseSessionService.replaceEvents(key, events);
+    res.json({ ...(await baseSessionService.getSession(key)), forkedAtEvent: cut });
+  });
+
+  /** Pinned events — always kept by trimming and compaction (see pins.mjs). */
+  app.get('/apps/:appName/users/:userId/sessions/:sessionId/pins', async (req, res) => {
+    const { appName, sessionId } = req.params;
+    const userId = resolveUserId(req, req.params.userId);
+    const session = await baseSessionService.getSession({ appName, userId, sessionId });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const byId = new Map(session.events.map((ev) => [ev.id, ev]));
+    res.json({
+      pins: getPins(session.state).map((pin) => ({ ...pin, author: byId.get(pin.eventId)?.author ?? null, preview: eventPreview(byId.get(pin.eventId)) })),
+    });
+  });
+
+  app.put('/apps/:appName/users/:userId/sessions/:sessionId/pins/:eventId', async (req, res) => {
+    const { appName, sessionId, eventId } = req.params;
+    const userId = resolveUserId(req, req.params.userId);
+    const key = { appName, userId, sessionId };
+    const session = await baseSessionService.getSession(key);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    if (!session.events.some((ev) => ev.id === eventId)) return res.status(404).json({ error: 'Event not found' });
+    const state = await baseSessionService.updateState(key, (current) => addPin(current, eventId));
+    res.json({ pins: getPins(state) });
+  });
+
+  app.delete('/apps/:appName/users/:userId/sessions/:sessionId/pins/:eventId', async (req, res) => {
+    const { appName, sessionId, eventId } = req.params;
+    const userId = resolveUserId(req, req.params.userId);
+    const key = { appName, userId, sessionId };
+    const session = await baseSessionService.getSession(key);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    if (!pinnedEventIds(session.state).has(eventId)) return res.status(404).json({ error: 'Event not pinned' });
+    await baseSessionService.updateState(key, (current) => removePin(current, eventId));
+    res.status(204).end();
+  });
+
+  /** Which events the last /run_sse request sent to the model, after trimming. */
+  app.get('/apps/:appName/users/:userId/sessions/:sessionId/context', async (req, res) => {
+    const { appName, sessionId } = req.params;
+    const userId = resolveUserId(req, req.params.userId);
+    const session = await baseSessionService.getSession({ appName, userId, sessionId });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const report = session.state?.[LAST_CONTEXT_KEY];
+    if (!report) return res.status(404).json({ error: 'No request recorded for this session yet' });
+    const byId = new Map(session.events.map((ev) => [ev.id, ev]));
+    const pinned = pinnedEventIds(session.state);
+    const events = (report.events || []).map((item) => {
+      const ev = byId.get(item.id);
+      return {
+        ...item,
+        author: ev?.author ?? null,
+        preview: ev ? eventPreview(ev) : null,
+        pinned: pinned.has(item.id),
+        ...(ev && isSummaryEvent(ev) ? { summary: true } : {}),
+        // Since compacted into the summary
+        ...(ev ? {} : { missing: true }),
+      };
+    });
+    res.json({
+      runId: report.runId ?? null,
+      at: report.at,
+      budget: report.budget,
+      totalEvents: report.totalEvents,
+      includedTokens: events.reduce((sum, ev) => sum + (ev.tokens ?? 0), 0),
+      events,
+    });
+  });
+
+  /**
+   * /pin (your previous message), /pin <note> and /unpin (the latest pin) from the chat box: edit pins and
+   * answer with a short confirmation (one content frame, then done) without running the agent.
+   */
+  async function handlePinCommand(res, key, { action, text }) {
+    const session = await baseSessionService.getSession(key);
+    let reply;
+    if (action === 'unpin') {
+      const last = getPins(session.state).at(-1);
+      if (last) {
+        await baseSessionService.updateState(key, (current) => removePin(current, last.eventId));
+        const ev = session.events.find((e) => e.id === last.eventId);
+        reply = `Unpinned: ${eventPreview(ev) || last.eventId}`;
+      } else {
+        reply = 'Nothing is pinned.';
+      }
+    } else if (text) {
+      const event = createEvent({ author: 'user', customMetadata: { pinnedNote: true }, content: { role: 'user', parts: [{ text }] } });
+      await baseSessionService.appendEvent({ session, event });
+      await baseSessionService.updateState(key, (current) => addPin(current, event.id));
+      reply = `Pinned note: ${eventPreview(event)}`;
+    } else {
+      const target = [...session.events].reverse().find((ev) => ev.author === 'user' && extractUserMessageText(ev.content).trim() && !isSummaryEvent(ev));
+      if (target) {
+        await baseSessionService.updateState(key, (current) => addPin(current, target.id));
+        reply = `Pinned: ${eventPreview(target)}`;
+      } else {
+        reply = 'Nothing to pin yet.';
+      }
+    }
+
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+    res.write(`data: ${JSON.stringify({ content: { parts: [{ text: reply }] } })}\n\n`);
+    const usage = { promptTokens: 0, completionTokens: 0, thoughtsTokens: 0, totalTokens: 0 };
+    res.write(`data: ${JSON.stringify({ done: { ok: true, cancelled: false, usage, toolCalls: 0, retried: false } })}\n\n`);
+    res.end();
+  }
+
+  /**
+   * Thinking-mode chat: streams a reasoning model directly (no agent, no tools) and maps its reasoning onto
+   * the { thinking } / { content } frames of /run_sse. With appName + sessionId the session's prior turns go
+   * out as history and the new exchange is saved back, so thinking-mode chats keep their memory.
+   * @param {Object} opts
+   * @param {'openai' | 'ollama'} opts.format
+   * @param {Array<{ url: string; headers?: Object; model: string }>} opts.targets - Routed model first, then fallbacks
+   * @param {Object} [opts.extraBody]
+   */
+  async function runChatSse(req, res, { format, targets, extraBody }) {
+    const { appName, sessionId, userMessage } = req.body || {};
+    const userId = resolveUserId(req, req.body?.userId);
+    const session = appName && sessionId ? await sessionService.getSession({ appName, userId, sessionId }) : null;
+    if (appName && sessionId && !session) return res.status(404).json({ error: 'Session not found' });
+    const systemPrompt = req.body?.systemPrompt ?? process.env.ADK_CHAT_SYSTEM_PROMPT ?? '';
+    const messages = eventsToChatMessages(session?.events, systemPrompt);
+    messages.push({ role: 'user', content: userMessage || '' });
+
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    let reply;
+    for (const [i, target] of targets.entries()) {
+      try {
+        const attributes = { 'adk.format': format, 'adk.session_id': sessionId, 'gen_ai.request.model': target.model, 'adk.messages': messages.length };
+        reply = await withSpan('chat_stream', { kind: 'client', attributes }, () =>
+          proxyChatStream(res, {
+            format,
+            url: target.url,
+            headers: { ...target.headers, ...traceHeaders() },
+            signal: controller.signal,
+            body: { model: target.model, messages, stream: true, ...extraBody },
+          }),
+        );
+        break;
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        const next = targets[i + 1];
+        if (next && err.beforeStream && isFallbackError(err)) {
+          metrics.modelFallbacks.inc({ model: next.model });
+          log.warn('Model failed, trying fallback', { from: target.model, to: next.model, err: err.message });
+          continue;
+        }
+        res.write(`data: ${JSON.stringify({ error: err.message })}\n\n`);
+        break;
+      }
+    }
+
+    if (session && reply) {
+      const author = format === 'ollama' ? 'ollama' : 'chat';
+      await sessionService.appendEvent({
+        session,
+        event: createEvent({ author: 'user', content: { role: 'user', parts: [{ text: userMessage || '' }] } }),
+      });
+      await sessionService.appendEvent({
+        session,
+        event: createEvent({ author, content: { role: 'model', parts: [{ text: reply.content }] } }),
+      });
+      compactingService?.scheduleCompaction({ appName, userId, sessionId }, { contextLimit: req.body.contextLimit });
+    }
+    res.end();
+  }
+
+  app.post('/run_ollama_sse', (req, res) => {
+    const base = (req.body?.ollamaBaseUrl || 'http://localhost:11434').replace(/\/$/, '');
+    // Ollama's native API has its own base URL; only the router's model names apply
+    const [first, ...fallbacks] = modelRouter.candidates({
+      requested: req.body?.model ? { model: req.body.model } : null,
+      command: modelRouter.commandOf(userPrompt(req.body?.userMessage), req.body?.command),
+    });
+    const models = [...new Set([first?.model ?? 'qwen3', ...fallbacks.map((m) => m.model)])];
+    const targets = models.map((model) => ({ ...getCredentialStore().prepare(`${base}/api/chat`), model }));
+    return runChatSse(req, res, { format: 'ollama', targets, extraBody: { think: true } });
+  });
+
+  // OpenAI-compatible chat/completions (LM Studio, vLLM, llama.cpp, Ollama's /v1, ...)
+  app.post('/run_chat_sse', (req, res) => {
+    const configuredBase = (process.env.OPENAI_COMPATIBLE_BASE_URL ?? 'http://localhost:11434/v1').replace(/\/$/, '');
+    const { baseUrl, model } = req.body ?? {};
+    const [first, ...fallbacks] = modelRouter.candidates({
+      requested: baseUrl || model ? { baseUrl: baseUrl || configuredBase, model: model || (process.env.OPENAI_COMPATIBLE_MODEL ?? 'qwen3') } : null,
+      command: modelRouter.commandOf(userPrompt(req.body?.userMessage), req.body?.command),
+    });
+    const models = [first ?? { baseUrl: configuredBase, model: process.env.OPENAI_COMPATIBLE_MODEL ?? 'qwen3' }, ...fallbacks];
+    // Keys only go to configured providers' URLs, never to an arbitrary client-supplied baseUrl
+    const targets = models.map((m) => ({ ...getCredentialStore().prepare(`${m.baseUrl}/chat/completions`), model: m.model }));
+    return runChatSse(req, res, { format: 'openai', targets });
+  });
+
+  app.post('/run_sse', (req, res) =>
+    runWithRequestContext(createRequestContext(req.body), async () => {
+      const attributes = { 'adk.app_name': req.body?.appName, 'adk.session_id': req.body?.sessionId };
+      try {
+        await withSpan('run_sse', { kind: 'server', parentHeaders: req.headers, attributes }, (span) => runSse(req, res, span));
+      } finally {
+        // Serverless instances can be frozen right after the response
+        flushTracing().catch((err) => log.warn('Span export failed', { err }));
+      }
+    }),
+  );
+
+  /** @param {import('@opentelemetry/api').Span | null} span - The run_sse span (null with tracing off) */
+  async function runSse(req, res, span) {
+    const { appName, sessionId, newMessage, streaming } = req.body;
+    const userId = resolveUserId(req, req.body.userId);
+    if (!(await agents.source(appName))) return res.status(404).json({ error: `App not found: ${appName}` });
+    const session = await sessionService.getSession({ appName, userId, sessionId });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+
+    const prompt = userPrompt(extractUserMessageText(newMessage));
+    const pinCommand = parsePinCommand(prompt, req.body.command);
+    if (pinCommand) return handlePinCommand(res, { appName, userId, sessionId }, pinCommand);
+
+    // No reachable executor URL from the client — route tool calls over its relay channel if one is open
+    const relayChannelId = req.body.toolExecutorUrl ? null : await toolRelay.find(userId, sessionId);
+    if (relayChannelId) {
+      const ctx = getRequestContext();
+      ctx.toolExecutorUrl = `${req.protocol}://${req.get('host')}/tool-relay/${relayChannelId}`;
+      ctx.runTool = (body) =>
+        withSpan('tool_executor', { kind: 'client', attributes: { 'adk.tool_relay': true } }, () => toolRelay.call(relayChannelId, body, traceHeaders()));
+    }
+
+    const run = runs.start({ userId, sessionId, resumable: req.body.resumable === true });
+    const { signal } = run.controller;
+    const requestContext = getRequestContext();
+    requestContext.signal = signal;
+    requestContext.runId = run.id;
+    requestContext.sessionId = sessionId;
+    span?.setAttribute('adk.run_id', run.id);
+    const startedAt = Date.now();
+    let firstTokenMs = null;
+    log.info('Run started', { appName, userId, streaming: Boolean(streaming) });
+
+    let messageToRun = newMessage;
+    if (contextStrategies) {
+      try {
+        const { runBeforeRequest } = await import('./context-middleware.mjs');
+        const { enrichedUserMessage, recoveryMessage } = await runBeforeRequest(session, newMessage);
+        if (recoveryMessage) {
+          messageToRun = {
+            role: 'user',
+            parts: [{ text: `${recoveryMessage}\n\n[User message]\n${extractUserMessageText(newMessage)}` }],
+          };
+        } else if (enrichedUserMessage) {
+          messageToRun = enrichedUserMessage;
+        }
+      } catch (err) {
+        metrics.errors.inc({ source: 'context_strategies' });
+        log.error('runBeforeRequest failed', { err });
+      }
+    }
+
+    let runner;
+    let loadError = null;
+    try {
+      runner = await getRunner(appName);
+    } catch (err) {
+      // e.g. a build error after a hot reload — reported on the stream, the server keeps running
+      loadError = err;
+    }
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    let prevText = '';
+    let prevThoughtText = '';
+    let thinkingActive = false;
+    const thinkingId = 'adk_thinking_1';
+    const userMessageText = extractUserMessageText(newMessage);
+    // Run on the routed model (slash command, client's choice or primary); the rest are fallbacks. Without router config the client's choice stands
+    const fallbackModels = modelRouter.configured
+      ? modelRouter.candidates({ requested: requestContext.modelOverride, command: modelRouter.commandOf(prompt, req.body.command) })
+      : [requestContext.modelOverride];
+    requestContext.modelOverride = fallbackModels.shift() ?? null;
+    let fallbackUsed = 0;
+    let tokenErrorRetried = false;
+    let failed = false;
+    /** Streamed text not yet persisted by the runner (partial events are never appended). */
+    let unsavedText = '';
+    let activeStream = null;
+    /** call id → tool name */
+    const seenToolCalls = new Map();
+    const seenToolResults = new Set();
+    const totalUsage = { promptTokens: 0, completionTokens: 0, thoughtsTokens: 0, totalTokens: 0 };
+
+    /** Frames go through the run so reconnecting clients can replay them (GET /runs/:runId/stream). */
+    function send(data) {
+      runs.publish(run, data);
+    }
+
+    runs.attach(run, res);
+    send({ run: { runId: run.id } });
+    if (loadError) {
+      metrics.runs.inc({ outcome: 'error' });
+      send({ error: `Agent ${appName} failed to load: ${loadError.message}` });
+      send({ done: { ok: false, cancelled: false, usage: totalUsage, toolCalls: 0, retried: false } });
+      runs.finish(run);
+      return;
+    }
+
+    /** Emit toolCall / toolResult frames once per call id (streamed partials repeat them). */
+    function sendToolParts(event) {
+      for (const part of event.content?.parts ?? []) {
+        const call = part?.functionCall;
+        if (call) {
+          const id = call.id ?? `${event.id}:${call.name}`;
+          if (seenToolCalls.has(id)) continue;
+          seenToolCalls.set(id, call.name);
+          metrics.toolCalls.inc({ tool: call.name });
+          send({ toolCall: { id, name: call.name, args: call.args ?? {} } });
+        }
+        const response = part?.functionResponse;
+        if (response) {
+          const id = response.id ?? `${event.id}:${response.name}`;
+          if (seenToolResults.has(id)) continue;
+          seenToolResults.add(id);
+          const ok = isToolResponseOk(response.response);
+          if (!ok) metrics.toolErrors.inc({ tool: response.name });
+          send({ toolResult: { id, name: response.name, ok, summary: summarizeToolResponse(response.response) } });
+        }
+      }
+    }
+
+    /**
+     * Leave the session consistent after a cancel: answer the run's tool calls that never got a result
+     * (backends reject orphaned calls) and persist the streamed-but-unsaved text, marked partial.
+     * Runs once the runner has stopped, so its in-flight event is already in the session. Only this run's events
+     * are looked at, and the records go right after them: a run started since (Stop, then resend) may have
+     * calls in flight that are not ours to answer.
+     */
+    async function recordCancellation() {
+      const own = appendedRunEvents(requestContext);
+      // Cancelled before the runner stored anything
+      if (!own.length) return;
+      const author = runner.agent?.name ?? appName;
+      const calls = new Map();
+      for (const ev of own) {
+        for (const part of ev.content?.parts ?? []) {
+          if (part?.functionCall?.id) calls.set(part.functionCall.id, part.functionCall.name);
+          if (part?.functionResponse?.id) calls.delete(part.functionResponse.id);
+        }
+      }
+      const records = [];
+      if (calls.size) {
+        records.push(
+          createEvent({
+            author,
+            content: {
+              role: 'user',
+              parts: [...calls].map(([id, name]) => ({ functionResponse: { id, name, response: { error: 'Cancelled by user before the tool ran' } } })),
+            },
+          }),
+        );
+      }
+      records.push(
+        createEvent({
+          author,
+          interrupted: true,
+          customMetadata: { cancelled: true, partial: true },
+          content: { role: 'model', parts: [{ text: unsavedText ? `${unsavedText}\n\n${CANCELLED_MARKER}` : CANCELLED_MARKER }] },
+        }),
+      );
+      const lastId = own.at(-1).id;
+      await baseSessionService.updateEvents({ appName, userId, sessionId }, (events) => {
+        const i = events.findIndex((ev) => ev.id === lastId);
+        return i < 0 ? [...events, ...records] : [...events.slice(0, i + 1), ...records, ...events.slice(i + 1)];
+      });
+    }
+
+    function sendUsage(event) {
+      if (event.partial || !event.usageMetadata) return;
+      const usage = toUsage(event.usageMetadata);
+      for (const key of Object.keys(totalUsage)) totalUsage[key] += usage[key];
+      metrics.tokens.inc({ kind: 'prompt' }, usage.promptTokens);
+      metrics.tokens.inc({ kind: 'completion' }, usage.completionTokens);
+      metrics.tokens.inc({ kind: 'thoughts' }, usage.thoughtsTokens);
+      send({ usage });
+    }
+
+    /**
+     * Move on to the router's next model after a connection, 5xx or token-limit error — only while nothing
+     * has reached the client, since a retry starts the answer over.
+     */
+    function useFallback(err) {
+      if (!fallbackModels.length || prevText || prevThoughtText || seenToolCalls.size || !isFallbackError(err)) return false;
+      const next = fallbackModels.shift();
+      metrics.modelFallbacks.inc({ model: next.model });
+      log.warn('Model failed, trying fallback', { from: requestContext.modelOverride?.model, to: next.model, error: typeof err === 'string' ? err : err.message });
+      requestContext.modelOverride = next;
+      // The fallback gets its full budget again
+      requestContext.retryTokenBudgetFactor = null;
+      fallbackUsed += 1;
+      span?.setAttribute('adk.model_fallbacks', fallbackUsed);
+      thinkingActive = false;
+      return true;
+    }
+
+    /**
+     * Drop what a failed attempt stored (its copy of the user message, the error event) before the retry, which
+     * appends the message again. Only the attempt's own events go, so a concurrent run's events stay.
+     */
+    async function discardAttempt() {
+      await activeStream?.settled;
+      const ids = new Set(appendedRunEvents(requestContext).map((ev) => ev.id));
+      if (!ids.size) return;
+      await baseSessionService.updateEvents({ appName, userId, sessionId }, (events) =>
+        events.some((ev) => ids.has(ev.id)) ? events.filter((ev) => !ids.has(ev.id)) : undefined,
+      );
+    }
+
+    async function runLoop() {
+      const events = runner.runAsync({
+        userId,
+        sessionId,
+        newMessage: messageToRun,
+        runConfig: { streamingMode: streaming ? StreamingMode.SSE : StreamingMode.NONE },
+      });
+      activeStream = abortable(events, signal);
+      for await (const event of activeStream) {
+        if (event.errorMessage) {
+          if (isTokenLimitError(event.errorMessage) && !tokenErrorRetried) {
+            tokenErrorRetried = true;
+            runSummariseOnTokenError();
+            prevText = '';
+            prevThoughtText = '';
+            thinkingActive = false;
+            metrics.tokenLimitRetries.inc();
+            log.warn('Token limit hit, summarising and retrying', { error: event.errorMessage });
+            return 'retry';
+          }
+          if (useFallback(event.errorMessage)) return 'retry';
+          failed = true;
+          metrics.errors.inc({ source: 'model' });
+          log.error('Model error', { error: event.errorMessage });
+          send({ error: event.errorMessage });
+        } else {
+          sendToolParts(event);
+          sendUsage(event);
+          const parts = event.content?.parts ?? [];
+          const thoughtText = parts.filter((p) => p?.thought === true).map((p) => p?.text ?? '').join('');
+          const contentText = stringifyContent(event) ?? parts.filter((p) => !p?.thought).map((p) => p?.text ?? '').join('');
+          unsavedText = event.partial ? contentText : '';
+
+          if (thoughtText !== prevThoughtText) {
+            const thoughtDelta = thoughtText.startsWith(prevThoughtText) ? thoughtText.slice(prevThoughtText.length) : thoughtText;
+            prevThoughtText = thoughtText;
+            if (thoughtDelta) {
+              thinkingActive = true;
+              send({ thinking: { text: thoughtDelta, id: thinkingId, metadata: {} } });
+            }
+          }
+
+          if (contentText && thinkingActive) {
+            send({ thinking: { text: '', id: thinkingId, metadata: { vscodeReasoningDone: true } } });
+            thinkingActive = false;
+          }
+
+          if (contentText !== prevText) {
+            const delta = contentText.startsWith(prevText) ? contentText.slice(prevText.length) : contentText;
+            prevText = contentText;
+            if (delta) {
+              firstTokenMs ??= Date.now() - startedAt;
+              send({ content: { parts: [{ text: delta }] } });
+            }
+          }
+        }
+      }
+      if (thinkingActive) {
+        send({ thinking: { text: '', id: thinkingId, metadata: { vscodeReasoningDone: true } } });
+      }
+      return 'done';
+    }
+
+    try {
+      let status = 'retry';
+      for (let attempt = 0; status === 'retry' && !signal.aborted; attempt++) {
+        prevText = '';
+        if (attempt > 0) await discardAttempt().catch((err) => log.error('Discarding failed attempt failed', { err }));
+        try {
+          status = await runLoop();
+        } catch (err) {
+          status = 'done';
+          if (signal.aborted) {
+            // Aborted fetches in the model/tools surface as errors — the cancel is reported below instead
+          } else if (isTokenLimitError(err.message) && !tokenErrorRetried) {
+            tokenErrorRetried = true;
+            runSummariseOnTokenError();
+            metrics.tokenLimitRetries.inc();
+            log.warn('Token limit error (thrown), summarising and retrying', { err });
+            status = 'retry';
+          } else if (useFallback(err)) {
+            status = 'retry';
+          } else {
+            metrics.errors.inc({ source: 'run' });
+            log.error('Run failed', { err });
+            failed = true;
+            send({ error: err.message });
+          }
+        }
+      }
+    } finally {
+      if (signal.aborted) {
+        // Written in the background once the runner stops, so the client isn't kept waiting on a model call
+        (activeStream?.settled ?? Promise.resolve())
+          .then(recordCancellation)
+          .catch((err) => log.error('Recording cancellation failed', { err }));
+      } else {
+        if (contextStrategies && prevText) {
+          import('./context-middleware.mjs')
+            .then(({ runAfterResponse }) => runAfterResponse(session, userMessageText, prevText))
+            .catch((err) => log.error('runAfterResponse failed', { err }));
+        }
+        // Background; the next request gets the compacted history
+        compactingService?.scheduleCompaction({ appName, userId, sessionId });
+      }
+    }
+    // The trimmed history plus this run's message and tool events, as the last model request saw them
+    const contextReport = await completeContextReport(getRequestContext()).catch((err) => {
+      log.error('Completing context report failed', { err });
+      return getRequestContext().contextReport;
+    });
+    if (contextReport) {
+      baseSessionService
+        .updateState({ appName, userId, sessionId }, { [LAST_CONTEXT_KEY]: { ...contextReport, runId: run.id } })
+        .catch((err) => log.error('Recording context report failed', { err }));
+    }
+    const cancelled = signal.aborted;
+    const outcome = cancelled ? 'cancelled' : failed ? 'error' : 'ok';
+    const durationMs = Date.now() - startedAt;
+    if (contextReport) {
+      const dropped = contextReport.totalEvents - contextReport.events.length;
+      const stubs = contextReport.events.filter((ev) => ev.stubbed).length;
+      if (dropped > 0 || stubs > 0) metrics.trims.inc();
+      metrics.trimmedEvents.inc({}, dropped);
+      metrics.toolResultStubs.inc({}, stubs);
+    }
+    metrics.runs.inc({ outcome });
+    span?.setAttributes({
+      'adk.outcome': outcome,
+      'adk.retried': tokenErrorRetried,
+      'adk.tool_calls': seenToolCalls.size,
+      'gen_ai.usage.input_tokens': totalUsage.promptTokens,
+      'gen_ai.usage.output_tokens': totalUsage.completionTokens,
+    });
+    metrics.runDuration.observe({ outcome }, durationMs / 1000);
+    log.info('Run finished', {
+      appName,
+      outcome,
+      durationMs,
+      firstTokenMs: firstTokenMs ?? undefined,
+      usage: totalUsage,
+      toolCalls: seenToolCalls.size,
+      retried: tokenErrorRetried,
+      fallbacks: fallbackUsed,
+      historyEvents: contextReport?.totalEvents,
+      sentEvents: contextReport?.events.length,
+    });
+    if (cancelled) send({ cancelled: { runId: run.id, reason: signal.reason?.message ?? 'Cancelled' } });
+    const fallbackModel = fallbackUsed ? { fallbackModel: requestContext.modelOverride.model } : {};
+    send({ done: { ok: !failed && !cancelled, cancelled, usage: totalUsage, toolCalls: seenToolCalls.size, retried: tokenErrorRetried, ...fallbackModel } });
+    runs.finish(run);
+  }
+
+  return app;
+}
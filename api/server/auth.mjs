@@ -0,0 +1,119 @@
+/**
+ * API-key authentication for the hosted server.
+ * Each key is bound to a user id; authenticated requests always act as that user, whatever userId the
+ * path or body names. Two key kinds are accepted (either or both may be configured):
+ *   - Static keys: ADK_API_KEYS="alice=key1,bob=key2"
+ *   - Signed keys: adk.<base64url(userId)>.<base64url(HMAC-SHA256(ADK_AUTH_SECRET, userId))>, minted by createApiKey
+ * Keys are sent as `Authorization: Bearer <key>` (or `X-API-Key: <key>`). Auth is off when nothing is configured.
+ */
+import crypto from 'crypto';
+
+const SIGNED_KEY_PREFIX = 'adk';
+
+function base64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+function sign(userId, secret) {
+  return crypto.createHmac('sha256', secret).update(userId).digest();
+}
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(a);
+  const bb = Buffer.from(b);
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+/**
+ * Mint a signed API key for userId.
+ */
+export function createApiKey(userId, secret) {
+  if (!userId) throw new Error('userId is required');
+  if (!secret) throw new Error('secret is required (ADK_AUTH_SECRET)');
+  return `${SIGNED_KEY_PREFIX}.${base64url(userId)}.${base64url(sign(userId, secret))}`;
+}
+
+/**
+ * Parse ADK_API_KEYS ("user=key,user2=key2") into [{ userId, key }].
+ */
+export function parseApiKeys(raw) {
+  if (!raw) return [];
+  return raw
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const i = entry.indexOf('=');
+      return i > 0 ? { userId: entry.slice(0, i).trim(), key: entry.slice(i + 1).trim() } : null;
+    })
+    .filter((e) => e?.userId && e.key);
+}
+
+/**
+ * Parse ADK_ALLOWED_ORIGINS ("https://a.com,https://b.com") into a list; null when unset.
+ */
+export function parseAllowedOrigins(raw) {
+  if (raw === undefined || raw === null) return null;
+  return raw
+    .split(',')
+    .map((o) => o.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+}
+
+function extractKey(req) {
+  const header = req.headers?.authorization;
+  if (typeof header === 'string' && /^bearer\s+/i.test(header)) return header.replace(/^bearer\s+/i, '').trim();
+  const apiKey = req.headers?.['x-api-key'];
+  return typeof apiKey === 'string' ? apiKey.trim() : '';
+}
+
+/**
+ * Create a key verifier. Returns null when no keys or secret are configured (auth disabled).
+ * @param {Object} [opts]
+ * @param {Array<{ userId: string; key: string }>} [opts.keys] - Static keys (default: ADK_API_KEYS)
+ * @param {string} [opts.secret] - HMAC secret for signed keys (default: ADK_AUTH_SECRET)
+ * @returns {((key: string) => string | null) | null} verify(key) → bound userId, or null if invalid
+ */
+export function createKeyVerifier(opts = {}) {
+  const keys = opts.keys ?? parseApiKeys(process.env.ADK_API_KEYS);
+  const secret = opts.secret ?? process.env.ADK_AUTH_SECRET ?? '';
+  if (keys.length === 0 && !secret) return null;
+
+  return (key) => {
+    if (!key) return null;
+    for (const entry of keys) {
+      if (safeEqual(key, entry.key)) return entry.userId;
+    }
+    if (secret && key.startsWith(`${SIGNED_KEY_PREFIX}.`)) {
+      const [, encodedUser, signature] = key.split('.');
+      if (!encodedUser || !signature) return null;
+      const userId = Buffer.from(encodedUser, 'base64url').toString('utf8');
+      if (userId && safeEqual(signature, base64url(sign(userId, secret)))) return userId;
+    }
+    return null;
+  };
+}
+
+/**
+ * Express middleware: rejects requests without a valid key and sets req.auth = { userId }.
+ * @param {(key: string) => string | null} verify - From createKeyVerifier
+ */
+export function createAuthMiddleware(verify) {
+  return (req, res, next) => {
+    if (req.method === 'OPTIONS') return next();
+    const userId = verify(extractKey(req));
+    if (!userId) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Missing or invalid API key' });
+    }
+    req.auth = { userId };
+    next();
+  };
+}
+
+/**
+ * The user id a request acts as — the key's bound user when authenticated, else the claimed one.
+ */
+export function resolveUserId(req, claimedUserId) {
+  return req.auth?.userId ?? claimedUserId;
+}
@@ -0,0 +1,210 @@
+/**
+ * Streaming chat proxy for thinking-capable models — Ollama /api/chat (NDJSON) and OpenAI-compatible
+ * /chat/completions (SSE: LM Studio, vLLM, llama.cpp, ...). Reasoning arrives as Ollama's message.thinking,
+ * OpenAI-style delta.reasoning_content / delta.reasoning, or inline <think>…</think> tags; all of it is
+ * mapped onto the same { thinking } / { content } frames as /run_sse.
+ */
+
+const THINK_OPEN = '<think>';
+const THINK_CLOSE = '</think>';
+
+/**
+ * Stateful splitter for inline <think> tags; tags may be split across chunks.
+ * push(text) → [{ type: 'thinking' | 'content', text }], flush() → remaining pieces.
+ */
+export function createThinkTagSplitter() {
+  let inThink = false;
+  let pending = '';
+
+  function drain(final) {
+    const out = [];
+    while (pending) {
+      const tag = inThink ? THINK_CLOSE : THINK_OPEN;
+      const i = pending.indexOf(tag);
+      if (i >= 0) {
+        if (i > 0) out.push({ type: inThink ? 'thinking' : 'content', text: pending.slice(0, i) });
+        pending = pending.slice(i + tag.length);
+        inThink = !inThink;
+        continue;
+      }
+      // Hold back a possible partial tag at the end until the next chunk decides it
+      let keep = 0;
+      if (!final) {
+        for (let k = Math.min(tag.length - 1, pending.length); k > 0; k--) {
+          if (tag.startsWith(pending.slice(-k))) {
+            keep = k;
+            break;
+          }
+        }
+      }
+      const emit = pending.slice(0, pending.length - keep);
+      if (emit) out.push({ type: inThink ? 'thinking' : 'content', text: emit });
+      pending = pending.slice(pending.length - keep);
+      break;
+    }
+    return out;
+  }
+
+  return {
+    push(text) {
+      pending += text;
+      return drain(false);
+    },
+    flush() {
+      return drain(true);
+    },
+  };
+}
+
+async function* readLines(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+      yield* lines;
+    }
+    if (buffer) yield buffer;
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Ollama /api/chat NDJSON → { thinking?, content? } deltas.
+ */
+export async function* readOllamaChatStream(body) {
+  for await (const line of readLines(body)) {
+    if (!line.trim()) continue;
+    let chunk;
+    try {
+      chunk = JSON.parse(line);
+    } catch (_) {
+      continue;
+    }
+    if (chunk.error) throw new Error(String(chunk.error));
+    const msg = chunk.message || {};
+    if (typeof msg.thinking === 'string' && msg.thinking) yield { thinking: msg.thinking };
+    if (typeof msg.content === 'string' && msg.content) yield { content: msg.content };
+  }
+}
+
+/**
+ * OpenAI-compatible chat/completions SSE → { thinking?, content? } deltas.
+ */
+export async function* readOpenAiChatStream(body) {
+  for await (const line of readLines(body)) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) continue;
+    const data = trimmed.slice(5).trim();
+    if (data === '[DONE]') return;
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (_) {
+      continue;
+    }
+    if (chunk.error) throw new Error(chunk.error.message || JSON.stringify(chunk.error));
+    const delta = chunk.choices?.[0]?.delta || {};
+    const reasoning = delta.reasoning_content ?? delta.reasoning;
+    if (typeof reasoning === 'string' && reasoning) yield { thinking: reasoning };
+    if (typeof delta.content === 'string' && delta.content) yield { content: delta.content };
+  }
+}
+
+function textOfParts(parts) {
+  return (parts || [])
+    .filter((p) => p && !p.thought && typeof p.text === 'string')
+    .map((p) => p.text)
+    .join('');
+}
+
+/**
+ * Session events → chat messages (text turns only; tool traffic and thoughts are left out).
+ * Consecutive turns from the same role are merged, which chat templates expect.
+ */
+export function eventsToChatMessages(events, systemPrompt) {
+  const messages = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+  for (const ev of events || []) {
+    const text = textOfParts(ev?.content?.parts);
+    if (!text.trim()) continue;
+    const role = ev.content?.role === 'model' || (ev.author && ev.author !== 'user') ? 'assistant' : 'user';
+    const last = messages[messages.length - 1];
+    if (last && last.role === role && role !== 'system') last.content += `\n\n${text}`;
+    else messages.push({ role, content: text });
+  }
+  return messages;
+}
+
+/**
+ * Proxy one streaming chat call to res as SSE frames. Resolves with the full { content, thinking } text.
+ * @param {import('express').Response} res - SSE response (headers already sent)
+ * @param {Object} opts
+ * @param {'ollama' | 'openai'} opts.format
+ * @param {string} opts.url - /api/chat or /chat/completions URL
+ * @param {Object} opts.body - Request body (messages, model, stream flags)
+ * @param {Object} [opts.headers]
+ * @param {AbortSignal} [opts.signal]
+ * @param {string} [opts.thinkingId]
+ */
+export async function proxyChatStream(res, { format, url, body, headers = {}, signal, thinkingId = 'chat_thinking_1' }) {
+  const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: 'POST',
+      signal,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    });
+  } catch (err) {
+    // Nothing was written yet, so the caller may retry elsewhere (see model-router.mjs)
+    err.beforeStream = true;
+    throw err;
+  }
+  if (!resp.ok) {
+    const detail = await resp.text().catch(() => '');
+    const err = new Error(`${format === 'ollama' ? 'Ollama' : 'Model'} error: ${resp.status}${detail ? ` ${detail.slice(0, 300)}` : ''}`);
+    err.status = resp.status;
+    err.beforeStream = true;
+    throw err;
+  }
+
+  const splitter = createThinkTagSplitter();
+  let thinkingActive = false;
+  let content = '';
+  let thinking = '';
+
+  const emit = (pieces) => {
+    for (const piece of pieces) {
+      if (piece.type === 'thinking') {
+        thinkingActive = true;
+        thinking += piece.text;
+        send({ thinking: { text: piece.text, id: thinkingId } });
+      } else {
+        if (thinkingActive) {
+          send({ thinking: { text: '', id: thinkingId, metadata: { vscodeReasoningDone: true } } });
+          thinkingActive = false;
+        }
+        content += piece.text;
+        send({ content: { parts: [{ text: piece.text }] } });
+      }
+    }
+  };
+
+  const deltas = format === 'ollama' ? readOllamaChatStream(resp.body) : readOpenAiChatStream(resp.body);
+  for await (const delta of deltas) {
+    if (delta.thinking) emit([{ type: 'thinking', text: delta.thinking }]);
+    if (delta.content) emit(splitter.push(delta.content));
+  }
+  emit(splitter.flush());
+  if (thinkingActive) {
+    send({ thinking: { text: '', id: thinkingId, metadata: { vscodeReasoningDone: true } } });
+  }
+  return { content, thinking };
+}
@@ -1,12 +1,26 @@
 /**
  * CompactingSessionService — port of Python ADK's EventsCompactionConfig + SlidingWindowCompactor.
- * Wraps a session service and compacts events using LlmEventSummarizer when compaction_interval is reached.
- * Compaction runs after appendEvent and persists to the inner store (when inner exposes mutable sessions).
+ * Wraps a session service and compacts events using LlmEventSummarizer when the history's token count nears
+ * the model's context limit (instead of ADK's fixed compaction_interval event windows). Compaction runs in the
+ * background after a response and persists through the event storage interface (replaceEvents, which writes the
+ * compacted events and the merged summary in one store update — implemented by PersistentSessionService for every
+ * store backend).
+ * Summaries are structured and merged across compactions in session state (see rolling-summary.mjs).
  * @see https://google.github.io/adk-docs/context/compaction/
  * @see https://github.com/google/adk-python EventsCompactionConfig, LlmEventSummarizer
  */
 
 import { createEvent, createEventActions } from '@google/adk';
+import { groupEventUnits } from './event-units.mjs';
+import { pinnedEventIds } from './pins.mjs';
+import { getRequestContext } from './request-context.mjs';
+import { SUMMARY_STATE_KEY, isSummaryEvent, mergeSummaries, renderSummary } from './rolling-summary.mjs';
+import { createTokenCounter } from './token-counter.mjs';
+import { createLogger } from './logger.mjs';
+import { metrics } from './metrics.mjs';
+import { withSpan } from './tracing.mjs';
+
+const log = createLogger('compaction');
 
 function createNewEventId() {
   const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -15,112 +29,140 @@ function createNewEventId() {
   return id;
 }
 
-function extractTextFromParts(parts) {
-  if (!Array.isArray(parts)) return '';
-  return parts
-    .map((p) => {
-      if (!p) return '';
-      if (p.text) return String(p.text);
-      if (p.value !== undefined) return String(p.value);
-      return '';
-    })
-    .join('');
-}
-
 /**
- * Create a summary event that replaces a range of events.
+ * Create the summary event that replaces the compacted span.
  * Stored as a user message so the LLM sees it as context.
  */
-function createSummaryEvent(summary, startTimestamp, endTimestamp) {
+function createSummaryEvent(summaryText, startTimestamp, endTimestamp) {
   return createEvent({
     id: `compaction_${Date.now()}_${Math.random().toString(36).slice(2)}`,
     invocationId: createNewEventId(),
     author: 'user',
     timestamp: endTimestamp,
+    customMetadata: { compactionSummary: true, startTimestamp },
     content: {
       role: 'user',
-      parts: [{ text: `[Previous conversation summary]\n${summary}` }],
+      parts: [{ text: summaryText }],
     },
     actions: createEventActions(),
   });
 }
 
 /**
- * Apply sliding-window compaction to events.
- * Python logic: every compaction_interval events, compact the prior window including overlap_size from previous.
+ * Pick the oldest span to summarise: keep the newest units (see event-units.mjs) whose tokens fit
+ * targetTokens, always keeping at least the last one. Returns the span end index (exclusive), or 0.
  */
-function computeCompactionWindow(events, compactionInterval, overlapSize) {
-  const n = events.length;
-  if (n < compactionInterval) return null;
-
-  const numFullWindows = Math.floor(n / compactionInterval);
-  if (numFullWindows === 0) return null;
-
-  const windowEnd = numFullWindows * compactionInterval;
-  const overlapStart = Math.max(0, windowEnd - compactionInterval - overlapSize);
-  return { start: overlapStart, end: windowEnd };
+function computeCompactionSpan(events, eventTokens, targetTokens) {
+  const units = groupEventUnits(events);
+  let tail = 0;
+  let spanEnd = events.length;
+  for (let u = units.length - 1; u >= 0; u--) {
+    const tokens = units[u].reduce((sum, i) => sum + eventTokens[i], 0);
+    if (u < units.length - 1 && tail + tokens > targetTokens) break;
+    tail += tokens;
+    spanEnd = units[u][0];
+  }
+  return spanEnd;
 }
 
 /**
- * Run compaction on events and return compacted array, or null if no compaction.
+ * Summarise the oldest events when history is over triggerRatio of the limit, so that the rest fits
+ * targetRatio of it. The extraction is merged into previousSummary (see rolling-summary.mjs); the old
+ * summary event is replaced, never summarised again, and pinned events are carried over as they are.
+ * Returns { events, summary } — the compacted array and merged summary — or null if no compaction.
  */
-async function runCompaction(events, summarizer, compactionInterval, overlapSize, minEventsToCompact) {
-  const window = computeCompactionWindow(events, compactionInterval, overlapSize);
-  if (!window || window.end - window.start < minEventsToCompact) return null;
-
-  const toCompact = events.slice(window.start, window.end);
+async function runCompaction(events, summarizer, previousSummary, pinned, { historyLimit, triggerRatio, targetRatio, minTokensToCompact }) {
+  const eventTokens = await createTokenCounter().countEvents(events);
+  const total = eventTokens.reduce((sum, n) => sum + n, 0);
+  if (total <= historyLimit * triggerRatio) return null;
+
+  const spanEnd = computeCompactionSpan(events, eventTokens, historyLimit * targetRatio);
+  if (spanEnd < 2) return null;
+  // A summary of a few short turns costs a model call and saves next to nothing
+  const spanTokens = eventTokens.slice(0, spanEnd).reduce((sum, n) => sum + n, 0);
+  if (spanTokens < minTokensToCompact) return null;
+
+  // Pinned events (with their tool call/response partners) stay verbatim, right after the summary
+  const pinnedIndices = new Set(
+    groupEventUnits(events)
+      .filter((unit) => unit[0] < spanEnd && unit.some((i) => pinned.has(events[i]?.id)))
+      .flat()
+  );
+  const keptFromSpan = events.slice(0, spanEnd).filter((_, i) => pinnedIndices.has(i));
+  const toCompact = events.slice(0, spanEnd).filter((ev, i) => !isSummaryEvent(ev) && !pinnedIndices.has(i));
   if (toCompact.length === 0) return null;
+  const result = await summarizer.maybeSummarizeEvents(toCompact, { previousSummary });
+  if (!result?.summary) return null;
 
-  const result = await summarizer.maybeSummarizeEvents(toCompact);
-  if (!result) return null;
-
-  const summaryText = result.content?.parts
-    ?.map((p) => p?.text ?? '')
-    .join('\n')
-    .trim();
-  if (!summaryText) return null;
-
+  const summary = mergeSummaries(previousSummary, result.summary);
   const summaryEvent = createSummaryEvent(
-    summaryText,
+    renderSummary(summary),
     result.startTimestamp,
     result.endTimestamp
   );
 
-  const before = events.slice(0, window.start);
-  const after = events.slice(window.end);
-  return [...before, summaryEvent, ...after];
+  return { events: [summaryEvent, ...keptFromSpan, ...events.slice(spanEnd)], summary };
 }
 
 /**
- * Creates a session service that compacts events when they exceed the threshold.
- * Works with InMemorySessionService: compacts in getSession and optionally persists
- * when inner exposes a sessions map (e.g. InMemorySessionService).
+ * Creates a session service that compacts a session once its history nears the model's context limit.
+ * Compaction never runs inside getSession: call scheduleCompaction(req) after a response has been sent.
+ * It runs in the background, at most once at a time per session (a request arriving mid-run schedules
+ * one more pass), and persists through the event storage (opts.storage, or inner itself when it
+ * implements replaceEvents).
  *
  * @param {Object} inner - Base session service
  * @param {Object} opts - Compaction options
  * @param {Object} opts.summarizer - LlmEventSummarizer (from createLlmEventSummarizer)
- * @param {number} [opts.compactionInterval=3] - Trigger compaction every N events
- * @param {number} [opts.overlapSize=1] - Include N prior events in each compaction window
- * @param {number} [opts.minEventsToCompact=6] - Minimum events before first compaction
- * @param {Object} [opts.storageRef] - If provided, { sessions } to persist compacted events (InMemorySessionService.sessions)
+ * @param {number} [opts.defaultContextLimit=4000] - Context limit when the request doesn't report one
+ * @param {number} [opts.reserveTokens=0] - Part of the limit kept for system prompt, tools and the new message
+ * @param {number} [opts.triggerRatio=0.8] - Compact once history exceeds this share of the history limit
+ * @param {number} [opts.targetRatio=0.5] - Share of the history limit left unsummarised after compacting
+ * @param {number} [opts.minTokensToCompact=0] - Skip spans holding fewer tokens than this (see token-counter.mjs)
+ * @param {Object} [opts.storage] - { replaceEvents(req, events, { baseLength, baseLastEventId, stateDelta }) } to persist
+ *   compacted events together with the merged summary (session state key SUMMARY_STATE_KEY)
  */
 export function createCompactingSessionService(inner, opts = {}) {
   const {
     summarizer,
-    compactionInterval = 3,
-    overlapSize = 1,
-    minEventsToCompact = 6,
-    storageRef,
+    defaultContextLimit = 4000,
+    reserveTokens = 0,
+    triggerRatio = 0.8,
+    targetRatio = 0.5,
+    minTokensToCompact = 0,
   } = opts;
+  const storage = opts.storage ?? (typeof inner.replaceEvents === 'function' ? inner : null);
+  /** session key → { running: Promise, again: boolean, contextLimit } */
+  const inFlight = new Map();
 
   if (!summarizer) {
     throw new Error('CompactingSessionService requires summarizer');
   }
 
-  const maybePersistCompaction = (appName, userId, sessionId, compactedEvents) => {
-    if (!storageRef?.sessions?.[appName]?.[userId]?.[sessionId]) return;
-    storageRef.sessions[appName][userId][sessionId].events = compactedEvents;
-  };
+  async function compact(key, contextLimit) {
+    const session = await inner.getSession(key);
+    const storedEvents = session?.events;
+    if (!storedEvents?.length) return;
+    const historyLimit = Math.max(1000, contextLimit - reserveTokens);
+    const previousSummary = session.state?.[SUMMARY_STATE_KEY] ?? null;
+    const compacted = await runCompaction(storedEvents, summarizer, previousSummary, pinnedEventIds(session.state), { historyLimit, triggerRatio, targetRatio, minTokensToCompact });
+    if (compacted) {
+      // One write: a summary stored without its events (or the reverse) would drop or repeat the span's items
+      const replaced = await storage.replaceEvents(key, compacted.events, {
+        baseLength: storedEvents.length,
+        baseLastEventId: storedEvents.at(-1).id,
+        stateDelta: { [SUMMARY_STATE_KEY]: compacted.summary },
+      });
+      if (replaced === false) {
+        // Another instance compacted (or the session was deleted) meanwhile; its result stands
+        metrics.compactions.inc({ outcome: 'conflict' });
+        log.info('Compaction skipped: history changed meanwhile', { sessionId: key.sessionId });
+        return;
+      }
+      metrics.compactions.inc({ outcome: 'ok' });
+      log.info('Compacted session', { sessionId: key.sessionId, eventsBefore: storedEvents.length, eventsAfter: compacted.events.length, historyLimit });
+    }
+  }
 
   return {
     async createSession(req) {
@@ -128,30 +170,7 @@ export function createCompactingSessionService(inner, opts = {}) {
     },
 
     async getSession(req) {
-      const session = await inner.getSession(req);
-      if (!session?.events?.length) return session;
-
-      const events = [...session.events];
-
-      try {
-        const compacted = await runCompaction(
-          events,
-          summarizer,
-          compactionInterval,
-          overlapSize,
-          minEventsToCompact
-        );
-        if (!compacted) return session;
-
-        if (storageRef?.sessions) {
-          maybePersistCompaction(req.appName, req.userId, req.sessionId, compacted);
-        }
-
-        return { ...session, events: compacted };
-      } catch (err) {
-        console.error('[CompactingSessionService] compaction failed:', err);
-        return session;
-      }
+      return inner.getSession(req);
     },
 
     async listSessions(req) {
@@ -163,29 +182,45 @@ export function createCompactingSessionService(inner, opts = {}) {
     },
 
     async appendEvent(req) {
-      const event = await inner.appendEvent(req);
-      const session = req.session;
-      if (!session?.appName || !session?.userId || !session?.id) return event;
-      if (!storageRef?.sessions) return event;
-
-      const storageSession = storageRef.sessions[session.appName]?.[session.userId]?.[session.id];
-      if (!storageSession?.events?.length) return event;
-
-      try {
-        const compacted = await runCompaction(
-          storageSession.events,
-          summarizer,
-          compactionInterval,
-          overlapSize,
-          minEventsToCompact
-        );
-        if (compacted) {
-          storageSession.events = compacted;
-        }
-      } catch (err) {
-        console.error('[CompactingSessionService] post-append compaction failed:', err);
+      return inner.appendEvent(req);
+    },
+
+    /**
+     * Compact the session in the background if it is over budget. Resolves when this pass is done.
+     * @param {{ appName: string; userId: string; sessionId: string }} req
+     * @param {Object} [opts]
+     * @param {number} [opts.contextLimit] - Model context window (default: request context, then defaultContextLimit)
+     */
+    scheduleCompaction({ appName, userId, sessionId }, { contextLimit } = {}) {
+      if (!storage) return Promise.resolve();
+      const key = { appName, userId, sessionId };
+      const id = `${appName}\u0000${userId}\u0000${sessionId}`;
+      const limit = typeof contextLimit === 'number' && contextLimit > 0 ? contextLimit : getRequestContext()?.contextLimit ?? defaultContextLimit;
+
+      const current = inFlight.get(id);
+      if (current) {
+        current.again = true;
+        current.contextLimit = limit;
+        return current.running;
       }
-      return event;
+      const entry = { again: false, contextLimit: limit, running: null };
+      entry.running = (async () => {
+        try {
+          do {
+            entry.again = false;
+            await withSpan('compaction', { attributes: { 'adk.session_id': sessionId, 'adk.context_limit': entry.contextLimit } }, () =>
+              compact(key, entry.contextLimit),
+            );
+          } while (entry.again);
+        } catch (err) {
+          metrics.compactions.inc({ outcome: 'error' });
+          log.error('Compaction failed', { sessionId, err });
+        } finally {
+          inFlight.delete(id);
+        }
+      })();
+      inFlight.set(id, entry);
+      return entry.running;
     },
   };
 }
@@ -3,6 +3,9 @@
  * Runs when ADK_ENABLE_CONTEXT_STRATEGIES=1.
  */
 import { ensureInitialized, getAssociative, getStuck } from './context-shared.mjs';
+import { createLogger } from './logger.mjs';
+
+const log = createLogger('context');
 
 const ChatMessageRole = { System: 0, User: 1, Assistant: 2 };
 
@@ -105,9 +108,9 @@ export async function runAfterResponse(session, userMessageText, assistantRespon
     // Ingest a condensed summary of the exchange
     const summary = `User asked: ${(userMessageText || '').slice(0, 200)}. Assistant responded: ${(assistantResponseText || '').slice(0, 500)}`;
     if (summary.length > 50) {
-      await associative.ingest(summary, 'decision', undefined, 'adk_chat', ['exchange']);
+      await associative.ingest(summary, 'decision', undefined, session?.appName ?? 'adk_chat', ['exchange']);
     }
   } catch (err) {
-    console.error('[context] Ingest failed', err);
+    log.error('Ingest failed', { err });
   }
 }
@@ -3,26 +3,33 @@
  */
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createLogger } from './logger.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+const log = createLogger('context');
+
+/** Adapter for the library's (message, data) logger interface. */
 const logger = {
   trace: () => {},
-  debug: (m, d) => console.error('[context]', m, d ?? ''),
-  info: (m, d) => console.error('[context]', m, d ?? ''),
-  warn: (m, d) => console.error('[context]', m, d ?? ''),
-  error: (m, d) => console.error('[context]', m, d ?? ''),
+  debug: (m, d) => log.debug(m, d === undefined ? undefined : { data: d }),
+  info: (m, d) => log.info(m, d === undefined ? undefined : { data: d }),
+  warn: (m, d) => log.warn(m, d === undefined ? undefined : { data: d }),
+  error: (m, d) => log.error(m, d === undefined ? undefined : { data: d }),
 };
 
 let associative = null;
 let stuck = null;
 let priority = null;
 let initPromise = null;
+/** For /healthz: 'pending' until ensureInitialized() settles, then 'ok' or 'error'. */
+let initStatus = { status: 'pending' };
 
 export async function ensureInitialized() {
   if (associative && stuck && priority) return;
   if (initPromise) return initPromise;
   initPromise = (async () => {
+    const startedAt = Date.now();
     try {
       const core = await import('context-strategies-vercel-mcp/core');
       const { FileStorageAdapter } = await import('context-strategies-vercel-mcp/storage');
@@ -32,8 +39,10 @@ export async function ensureInitialized() {
       stuck = new core.StuckDetector(logger);
       priority = new core.MessagePriorityCalculator();
       await associative.initialize();
+      initStatus = { status: 'ok', initMs: Date.now() - startedAt };
     } catch (err) {
-      console.error('[context] Init failed:', err);
+      log.error('Init failed', { err });
+      initStatus = { status: 'error', error: err?.message ?? String(err) };
       associative = null;
       stuck = null;
       priority = null;
@@ -53,3 +62,8 @@ export function getStuck() {
 export function getPriority() {
   return priority;
 }
+
+/** Context-strategies init status for /healthz. */
+export function getInitStatus() {
+  return initStatus;
+}
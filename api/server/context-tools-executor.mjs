@@ -3,6 +3,7 @@
  * Shares init with context-middleware via context-shared.
  */
 import { ensureInitialized, getAssociative, getStuck, getPriority } from './context-shared.mjs';
+import { createTokenCounter } from './token-counter.mjs';
 
 const ChatMessageRole = { System: 0, User: 1, Assistant: 2 };
 
@@ -30,13 +31,6 @@ function normalizeMessages(messages) {
   return messages.map(normalizeMessage).filter(Boolean);
 }
 
-function estimateMessageTokens(msg) {
-  const text = (msg.content || [])
-    .map((p) => (p?.type === 'text' || p?.type === 'thinking' ? (Array.isArray(p.value) ? p.value.join('\n') : String(p.value ?? '')) : ''))
-    .join('\n');
-  return Math.ceil(text.length / 4);
-}
-
 
 /**
  * Execute a context tool by name. Returns JSON-serializable result.
@@ -121,9 +115,14 @@ export async function executeTool(name, args = {}) {
         const ranked = priority.sortByPriority(messages);
         const tokenBudget = args.tokenBudget;
         const topN = args.topN;
+        const messageTokens = new Map();
+        if (typeof tokenBudget === 'number') {
+          const counter = createTokenCounter();
+          for (const m of messages) messageTokens.set(m, await counter.countMessage(m));
+        }
         const selected =
           typeof tokenBudget === 'number'
-            ? priority.selectByTokenBudget(messages, tokenBudget, estimateMessageTokens)
+            ? priority.selectByTokenBudget(messages, tokenBudget, (m) => messageTokens.get(m) ?? 0)
             : typeof topN === 'number'
               ? priority.selectTopMessages(messages, topN)
               : messages;
@@ -0,0 +1,48 @@
+/**
+ * Event units — groups session events so a functionCall and its functionResponse are never separated.
+ * Backends reject a history with a call that has no response (or a response with no call), so trimming
+ * and compaction keep or drop whole units. Calls are paired by id, falling back to the oldest
+ * unanswered call with the same name for backends that don't set ids.
+ */
+
+function functionParts(event, key) {
+  return (event?.content?.parts ?? []).map((p) => p?.[key]).filter(Boolean);
+}
+
+/**
+ * Group events into atomic units.
+ * @returns {number[][]} Units in event order; each unit is an ascending list of event indices
+ */
+export function groupEventUnits(events) {
+  const parent = (events || []).map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb);
+  };
+
+  /** callId → event index; name → unanswered id-less call indices */
+  const callsById = new Map();
+  const callsByName = new Map();
+  (events || []).forEach((ev, i) => {
+    for (const call of functionParts(ev, 'functionCall')) {
+      if (call.id) callsById.set(call.id, i);
+      else callsByName.set(call.name, [...(callsByName.get(call.name) ?? []), i]);
+    }
+    for (const response of functionParts(ev, 'functionResponse')) {
+      let callIndex = response.id ? callsById.get(response.id) : undefined;
+      if (callIndex === undefined) callIndex = callsByName.get(response.name)?.shift();
+      if (callIndex !== undefined) union(callIndex, i);
+    }
+  });
+
+  const units = new Map();
+  parent.forEach((_, i) => {
+    const root = find(i);
+    if (!units.has(root)) units.set(root, []);
+    units.get(root).push(i);
+  });
+  return [...units.values()];
+}
+
@@ -1,11 +1,31 @@
 /**
  * LlmEventSummarizer — port of Python ADK's LlmEventSummarizer.
- * Summarizes a list of session events into a single compacted event using an LLM.
+ * Summarizes a list of session events into a single compacted event using an LLM. The default prompt asks for
+ * a structured JSON extraction (see rolling-summary.mjs) that compaction merges into the session's summary.
  * @see https://github.com/google/adk-python/blob/main/src/google/adk/apps/llm_event_summarizer.py
  */
+import { parseSummary, renderSummary } from './rolling-summary.mjs';
+import { createLogger } from './logger.mjs';
 
-const DEFAULT_PROMPT_TEMPLATE =
-  'The following is a conversation history between a user and an AI agent. Please summarize the conversation, focusing on key information and decisions made, as well as any unresolved questions or tasks. The summary should be concise and capture the essence of the interaction.\n\n{conversation_history}';
+const log = createLogger('summarizer');
+
+const DEFAULT_PROMPT_TEMPLATE = `You maintain a structured memory of a conversation between a user and an AI coding agent.
+Extract what is worth remembering from the NEW conversation span below. The summary stored so far is given for context only: do not repeat items already in it.
+
+Return only a JSON object with these keys, each an array of short strings (use [] when there is nothing new):
+- "goals": what the user is trying to achieve
+- "instructions": standing instructions or preferences the user gave (e.g. "use pnpm", "never edit generated files")
+- "decisions": decisions made and their reasons
+- "files": paths of files read, created or edited, with a few words on what changed
+- "openTasks": work that is still pending or unresolved questions
+- "completedTasks": open tasks from the stored summary that this span finished (copy their text)
+- "facts": other facts needed to continue (commands, versions, error messages, names)
+
+Stored summary:
+{previous_summary}
+
+New conversation span:
+{conversation_history}`;
 
 function extractTextFromParts(parts) {
   if (!Array.isArray(parts)) return '';
@@ -19,11 +39,29 @@ function extractTextFromParts(parts) {
     .join('');
 }
 
+/** Tool results can be huge (file reads); the summarizer gets the head of each. */
+const TOOL_RESULT_PROMPT_CHARS = 2000;
+
+function formatToolParts(parts) {
+  return parts
+    .map((p) => {
+      if (p?.functionCall) return `[called ${p.functionCall.name}(${JSON.stringify(p.functionCall.args ?? {})})]`;
+      if (p?.functionResponse) {
+        const raw = JSON.stringify(p.functionResponse.response ?? {});
+        const result = raw.length > TOOL_RESULT_PROMPT_CHARS ? `${raw.slice(0, TOOL_RESULT_PROMPT_CHARS)}… (truncated)` : raw;
+        return `[${p.functionResponse.name} returned ${result}]`;
+      }
+      return '';
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
 function formatEventsForPrompt(events) {
   const lines = [];
   for (const ev of events) {
     if (ev?.content?.parts) {
-      const text = extractTextFromParts(ev.content.parts);
+      const text = [extractTextFromParts(ev.content.parts), formatToolParts(ev.content.parts)].filter((t) => t.trim()).join('\n');
       if (text.trim()) {
         const author = ev.author || 'user';
         lines.push(`${author}: ${text}`);
@@ -36,22 +74,28 @@ function formatEventsForPrompt(events) {
 /**
  * Creates an LlmEventSummarizer that uses the given LLM to summarize events.
  * @param {Object} llm - BaseLlm instance (e.g. OpenAICompatibleLlm) with generateContentAsync
- * @param {string} [promptTemplate] - Template with {conversation_history} placeholder
+ * @param {string} [promptTemplate] - Template with {conversation_history} and optional {previous_summary} placeholders
  */
 export function createLlmEventSummarizer(llm, promptTemplate = DEFAULT_PROMPT_TEMPLATE) {
   return {
     /**
      * Summarize events and return compacted content, or null if nothing to summarize.
+     * `summary` is the validated structured extraction; when the model's output isn't valid JSON it holds
+     * the raw text as a note instead.
      * @param {Array} events - Session events to compact
-     * @returns {Promise<{ content: { role: string; parts: Array<{ text: string }> }; startTimestamp: number; endTimestamp: number } | null>}
+     * @param {Object} [opts]
+     * @param {Object} [opts.previousSummary] - Structured summary stored so far (context for the extraction)
+     * @returns {Promise<{ content: { role: string; parts: Array<{ text: string }> }; summary: Object; startTimestamp: number; endTimestamp: number } | null>}
      */
-    async maybeSummarizeEvents(events) {
+    async maybeSummarizeEvents(events, { previousSummary } = {}) {
       if (!events?.length) return null;
 
       const conversationHistory = formatEventsForPrompt(events);
       if (!conversationHistory.trim()) return null;
 
-      const prompt = promptTemplate.replace('{conversation_history}', conversationHistory);
+      const prompt = promptTemplate
+        .replace('{previous_summary}', previousSummary ? renderSummary(previousSummary) : '(none yet)')
+        .replace('{conversation_history}', conversationHistory);
 
       const llmRequest = {
         model: llm.model,
@@ -64,7 +108,7 @@ export function createLlmEventSummarizer(llm, promptTemplate = DEFAULT_PROMPT_TE
       let summaryContent = null;
       for await (const response of llm.generateContentAsync(llmRequest, false)) {
         if (response.errorCode) {
-          console.error('[LlmEventSummarizer] LLM error:', response.errorCode, response.errorMessage);
+          log.error('LLM error', { errorCode: response.errorCode, error: response.errorMessage });
           return null;
         }
         if (response.content?.parts?.length) {
@@ -75,11 +119,25 @@ export function createLlmEventSummarizer(llm, promptTemplate = DEFAULT_PROMPT_TE
 
       if (!summaryContent) return null;
 
+      const text = summaryContent.parts
+        .filter((p) => !p?.thought)
+        .map((p) => p?.text ?? '')
+        .join('')
+        .trim();
+      if (!text) return null;
+      let summary = parseSummary(text);
+      if (!summary) {
+        // Keep the model's prose rather than lose the span; mergeSummaries truncates it
+        log.warn('Summary is not valid JSON; keeping it as a note');
+        summary = { notes: [text] };
+      }
+
       const startTimestamp = events[0]?.timestamp ?? Date.now() / 1000;
       const endTimestamp = events[events.length - 1]?.timestamp ?? Date.now() / 1000;
 
       return {
         content: { ...summaryContent, role: 'model' },
+        summary,
         startTimestamp,
         endTimestamp,
       };
@@ -0,0 +1,69 @@
+/**
+ * Structured logging — one JSON object per line on stderr:
+ *   { "ts", "level", "scope", "msg", "runId", "sessionId", "model", ...fields }
+ * Run, session and model fields come from the current request context, so every line a run produces can be
+ * grepped by runId. ADK_LOG_LEVEL picks the minimum level (debug | info | warn | error, default info);
+ * ADK_LOG_FORMAT=text prints "[scope] msg {fields}" for reading in a terminal instead.
+ */
+import { getRequestContext } from './request-context.mjs';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function minLevel() {
+  return LEVELS[process.env.ADK_LOG_LEVEL] ?? LEVELS.info;
+}
+
+/** Errors don't JSON.stringify; keep message, code and stack. */
+function serializeValue(value) {
+  if (value instanceof Error) {
+    return { message: value.message, ...(value.code ? { code: value.code } : {}), stack: value.stack };
+  }
+  return value;
+}
+
+function contextFields() {
+  const ctx = getRequestContext();
+  if (!ctx) return {};
+  const fields = {};
+  if (ctx.runId) fields.runId = ctx.runId;
+  if (ctx.sessionId) fields.sessionId = ctx.sessionId;
+  const model = ctx.modelOverride?.model;
+  if (model) fields.model = model;
+  return fields;
+}
+
+function write(level, scope, msg, fields) {
+  if (LEVELS[level] < minLevel()) return;
+  const extra = {};
+  for (const [key, value] of Object.entries(fields || {})) {
+    if (value !== undefined) extra[key] = serializeValue(value);
+  }
+  const entry = { ts: new Date().toISOString(), level, scope, msg, ...contextFields(), ...extra };
+  if (process.env.ADK_LOG_FORMAT === 'text') {
+    const { ts, level: _level, scope: _scope, msg: _msg, ...rest } = entry;
+    const tail = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : '';
+    process.stderr.write(`${ts} ${level.toUpperCase()} [${scope}] ${msg}${tail}\n`);
+    return;
+  }
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (_) {
+    line = JSON.stringify({ ts: entry.ts, level, scope, msg, note: 'fields not serializable' });
+  }
+  process.stderr.write(`${line}\n`);
+}
+
+/**
+ * Logger for one module/subsystem.
+ * @param {string} scope - e.g. 'run_sse', 'compaction'
+ * @returns {{ debug, info, warn, error }} — each (msg, fields?) ; pass errors as fields.err
+ */
+export function createLogger(scope) {
+  return {
+    debug: (msg, fields) => write('debug', scope, msg, fields),
+    info: (msg, fields) => write('info', scope, msg, fields),
+    warn: (msg, fields) => write('warn', scope, msg, fields),
+    error: (msg, fields) => write('error', scope, msg, fields),
+  };
+}
@@ -0,0 +1,114 @@
+/**
+ * Process-wide metrics in Prometheus text format (GET /metrics). Counters and histograms are plain
+ * in-memory maps keyed by label values — no client library, nothing exported until scraped.
+ * On serverless hosts each instance keeps its own counts.
+ */
+
+/** name → { type, help, labelNames, series: Map<labelKey, { labels, value } | { labels, buckets, sum, count }>, buckets? } */
+const registry = new Map();
+
+const DEFAULT_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+function labelKey(labelNames, labels) {
+  return labelNames.map((name) => String(labels?.[name] ?? '')).join('\u0000');
+}
+
+function register(type, name, help, labelNames, extra = {}) {
+  if (registry.has(name)) return registry.get(name);
+  const metric = { type, name, help, labelNames, series: new Map(), ...extra };
+  registry.set(name, metric);
+  return metric;
+}
+
+/**
+ * @param {string} name - Metric name (e.g. adk_tool_calls_total)
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ */
+export function counter(name, help, labelNames = []) {
+  const metric = register('counter', name, help, labelNames);
+  return {
+    inc(labels = {}, value = 1) {
+      if (!(value > 0)) return;
+      const key = labelKey(labelNames, labels);
+      const series = metric.series.get(key) ?? { labels, value: 0 };
+      series.value += value;
+      metric.series.set(key, series);
+    },
+  };
+}
+
+/**
+ * @param {string} name - Metric name (e.g. adk_run_duration_seconds)
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ * @param {number[]} [buckets] - Upper bounds, ascending
+ */
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const metric = register('histogram', name, help, labelNames, { buckets });
+  return {
+    observe(labels = {}, value) {
+      if (typeof value !== 'number' || Number.isNaN(value)) return;
+      const key = labelKey(labelNames, labels);
+      const series = metric.series.get(key) ?? { labels, buckets: metric.buckets.map(() => 0), sum: 0, count: 0 };
+      metric.buckets.forEach((bound, i) => {
+        if (value <= bound) series.buckets[i] += 1;
+      });
+      series.sum += value;
+      series.count += 1;
+      metric.series.set(key, series);
+    },
+  };
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, labels, extra = {}) {
+  const pairs = [...labelNames.map((name) => [name, labels?.[name] ?? '']), ...Object.entries(extra)];
+  if (!pairs.length) return '';
+  return `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+/**
+ * Everything registered so far, in Prometheus text exposition format.
+ */
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    // Unlabelled counters show 0 before their first increment, so rate() has a starting point
+    if (metric.type === 'counter' && !metric.labelNames.length && !metric.series.size) lines.push(`${metric.name} 0`);
+    for (const series of metric.series.values()) {
+      if (metric.type === 'counter') {
+        lines.push(`${metric.name}${formatLabels(metric.labelNames, series.labels)} ${series.value}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.labels, { le: bound })} ${series.buckets[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.labels, { le: '+Inf' })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, series.labels)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(metric.labelNames, series.labels)} ${series.count}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/** Metrics shared across modules. */
+export const metrics = {
+  runs: counter('adk_runs_total', 'Finished /run_sse runs by outcome', ['outcome']),
+  runDuration: histogram('adk_run_duration_seconds', 'Wall time of /run_sse runs', ['outcome']),
+  tokens: counter('adk_tokens_total', 'Model tokens reported in usage metadata', ['kind']),
+  modelFallbacks: counter('adk_model_fallbacks_total', 'Requests moved to a fallback model, by the model tried', ['model']),
+  tokenLimitRetries: counter('adk_token_limit_retries_total', 'Runs retried with a smaller history after a token-limit error'),
+  toolCalls: counter('adk_tool_calls_total', 'Tool calls made by agents', ['tool']),
+  toolErrors: counter('adk_tool_errors_total', 'Tool calls that returned an error', ['tool']),
+  trims: counter('adk_trims_total', 'Requests whose history was trimmed to fit the budget'),
+  trimmedEvents: counter('adk_trimmed_events_total', 'Events left out of requests by trimming'),
+  toolResultStubs: counter('adk_tool_result_stubs_total', 'Tool results replaced by a stub to fit the budget'),
+  compactions: counter('adk_compactions_total', 'Compaction passes by outcome', ['outcome']),
+  errors: counter('adk_errors_total', 'Errors by source', ['source']),
+};
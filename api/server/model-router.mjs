@@ -0,0 +1,137 @@
+/**
+ * Model router — one JSON config deciding which model serves a request, what to try when it fails,
+ * and which model does background work. Used by /run_sse (through the request's modelOverride, which the
+ * agent's model adapter reads), /run_chat_sse, /run_ollama_sse and summarizerLlm.
+ *
+ * Config (ADK_MODEL_ROUTER as inline JSON, or ADK_MODEL_ROUTER_FILE pointing at a JSON file):
+ *   {
+ *     "primary":    { "baseUrl": "https://llm.example.com/v1", "model": "qwen3-coder" },
+ *     "fallbacks":  [{ "model": "qwen3" }, { "baseUrl": "http://localhost:11434/v1", "model": "llama3.1" }],
+ *     "summarizer": { "model": "qwen3:4b" },
+ *     "commands":   { "/explain": { "model": "qwen3" }, "/test": "qwen3-coder" }
+ *   }
+ * A model may be given as a bare name. Instead of a baseUrl, an entry may name a provider id from
+ * provider-credentials.mjs ({ "provider": "azure", "model": "gpt-4o" }). Entries with neither use the
+ * primary's base URL, then OPENAI_COMPATIBLE_BASE_URL.
+ * Fallbacks are tried in order on connection errors, 5xx responses and token-limit errors, as long as
+ * nothing has been streamed to the client yet.
+ */
+import fs from 'fs';
+import { getCredentialStore } from './provider-credentials.mjs';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+const COMMAND = /^\s*(\/[A-Za-z][\w-]*)(?=\s|$)/;
+
+/** Detect if error message indicates token/context limit exceeded. */
+export function isTokenLimitError(msg) {
+  if (!msg || typeof msg !== 'string') return false;
+  const s = msg.toLowerCase();
+  return (
+    /context\s*length|context_length|prompt\s*too\s*long|token\s*limit|max.*token|maximum\s*context|exceeded|num_ctx|input.*length/i.test(s) ||
+    /too many tokens|token count|context window/i.test(s)
+  );
+}
+
+/**
+ * Errors worth retrying on another model: unreachable host, 5xx, or a prompt the model can't fit.
+ * @param {Error | string} err
+ */
+export function isFallbackError(err) {
+  const message = typeof err === 'string' ? err : `${err?.message ?? ''} ${err?.cause?.code ?? ''} ${err?.cause?.message ?? ''}`;
+  if (isTokenLimitError(message)) return true;
+  if (typeof err?.status === 'number') return err.status >= 500;
+  return (
+    /fetch failed|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|ETIMEDOUT|UND_ERR_CONNECT|socket hang up|network error/i.test(message) ||
+    /\b(status|error|code)[:\s]*5\d\d\b|\b5\d\d\s+(internal|bad gateway|service unavailable|gateway timeout)/i.test(message)
+  );
+}
+
+function readConfigFromEnv(env) {
+  const raw = env.ADK_MODEL_ROUTER || (env.ADK_MODEL_ROUTER_FILE ? fs.readFileSync(env.ADK_MODEL_ROUTER_FILE, 'utf8') : '');
+  if (!raw.trim()) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Invalid model router config (${env.ADK_MODEL_ROUTER ? 'ADK_MODEL_ROUTER' : env.ADK_MODEL_ROUTER_FILE}): ${err.message}`);
+  }
+}
+
+/**
+ * @param {Object} [config] - See module doc; {} routes everything to OPENAI_COMPATIBLE_BASE_URL / _MODEL as before
+ * @param {Object} [env]
+ * @param {{ get(id: string): { baseUrl: string } | null } | null} [credentials] - Resolves { provider } entries
+ */
+export function createModelRouter(config = {}, env = process.env, credentials = null) {
+  const defaultBaseUrl = (env.OPENAI_COMPATIBLE_BASE_URL ?? DEFAULT_BASE_URL).replace(/\/$/, '');
+
+  function providerBaseUrl(id) {
+    const provider = credentials?.get(id);
+    if (!provider) throw new Error(`Model router names unknown provider: ${id}`);
+    return provider.baseUrl;
+  }
+
+  function entry(value, baseUrl) {
+    const spec = typeof value === 'string' ? { model: value } : value;
+    if (!spec || typeof spec.model !== 'string' || !spec.model) return null;
+    const base = spec.baseUrl ?? (spec.provider ? providerBaseUrl(spec.provider) : baseUrl);
+    return { baseUrl: base.replace(/\/$/, ''), model: spec.model };
+  }
+
+  const primary = entry(config.primary, defaultBaseUrl);
+  const baseUrl = primary?.baseUrl ?? defaultBaseUrl;
+  const fallbacks = (Array.isArray(config.fallbacks) ? config.fallbacks : []).map((f) => entry(f, baseUrl)).filter(Boolean);
+  const summarizer = entry(config.summarizer, baseUrl);
+  const commands = new Map();
+  for (const [name, value] of Object.entries(config.commands ?? {})) {
+    const model = entry(value, baseUrl);
+    if (model) commands.set(name.startsWith('/') ? name.toLowerCase() : `/${name.toLowerCase()}`, model);
+  }
+
+  const same = (a, b) => a.model === b.model && a.baseUrl === b.baseUrl;
+
+  return {
+    configured: Boolean(primary || fallbacks.length || summarizer || commands.size),
+
+    /**
+     * Command of a request when the config routes it, else null: the command the client sent ("explain" or
+     * "/explain"), otherwise the message's leading slash command ("/fix the test" → "/fix").
+     * @param {string} [text] - The user's prompt
+     * @param {string} [command] - Explicit command from the request body
+     */
+    commandOf(text, command) {
+      const raw = command ? `/${String(command).replace(/^\//, '')}` : COMMAND.exec(text || '')?.[1];
+      const name = raw?.toLowerCase();
+      return name && commands.has(name) ? name : null;
+    },
+
+    /**
+     * Models to try for a request, in order: the command's model, else the request's own choice, else the
+     * primary; then the fallbacks. The first entry is null when none of those picks a model (the caller's
+     * default applies).
+     * @param {Object} [opts]
+     * @param {{ baseUrl?: string; model?: string } | null} [opts.requested] - The client's modelOverride / model
+     * @param {string | null} [opts.command] - From commandOf()
+     */
+    candidates({ requested, command } = {}) {
+      const first = (command && commands.get(command)) || entry(requested, baseUrl) || primary || null;
+      const list = [first];
+      for (const fallback of fallbacks) {
+        if (!list.some((m) => m && same(m, fallback))) list.push(fallback);
+      }
+      return list;
+    },
+
+    /** Model for summarisation and other background calls: the configured summarizer, else the request's model. */
+    summarizerModel(requested) {
+      return summarizer ?? entry(requested, baseUrl) ?? primary ?? { baseUrl: defaultBaseUrl, model: env.OPENAI_COMPATIBLE_MODEL ?? env.ADK_COMPACTION_MODEL ?? 'glm-5:cloud' };
+    },
+  };
+}
+
+let router = null;
+
+/** Process-wide router from ADK_MODEL_ROUTER / ADK_MODEL_ROUTER_FILE (read once). */
+export function getModelRouter() {
+  router ??= createModelRouter(readConfigFromEnv(process.env), process.env, getCredentialStore());
+  return router;
+}
@@ -0,0 +1,187 @@
+/**
+ * PersistentSessionService — ADK session service backed by a pluggable session store (see session-store.mjs).
+ * Drop-in replacement for InMemorySessionService underneath the compacting/trimming wrappers.
+ * Also implements the event storage interface used by compaction write-back:
+ *   loadEvents({ appName, userId, sessionId }) → events | undefined
+ *   replaceEvents({ appName, userId, sessionId }, events, { baseLength, baseLastEventId, stateDelta }) — events
+ *     appended after baseLength are kept; with baseLastEventId nothing is written (→ false) when event baseLength - 1
+ *     is no longer that event, i.e. someone else rewrote the history since it was read. stateDelta is merged into
+ *     the state in the same write (compaction's summary goes with the events that replace the span)
+ * plus updateState(req, delta) for out-of-band state edits (session titles, pins) and updateEvents(req, edit) for
+ * event edits that must not race the runner's appends (dropping a failed attempt, recording a cancel).
+ */
+import { randomUUID } from 'crypto';
+import { createSessionStoreFromEnv } from './session-store.mjs';
+import { createLogger } from './logger.mjs';
+
+const log = createLogger('sessions');
+
+const TEMP_PREFIX = 'temp:';
+
+function applyStateDelta(state, event) {
+  const delta = event?.actions?.stateDelta;
+  if (!delta) return;
+  for (const [key, value] of Object.entries(delta)) {
+    if (key.startsWith(TEMP_PREFIX)) continue;
+    state[key] = value;
+  }
+}
+
+/** Merge changes into record.state; null values delete keys. */
+function mergeState(record, changes) {
+  record.state = record.state || {};
+  for (const [key, value] of Object.entries(changes || {})) {
+    if (value === null) delete record.state[key];
+    else record.state[key] = value;
+  }
+}
+
+function filterEvents(events, config) {
+  let result = events;
+  if (config?.numRecentEvents) {
+    result = result.slice(-config.numRecentEvents);
+  }
+  if (config?.afterTimestamp) {
+    const i = result.findIndex((ev) => ev.timestamp >= config.afterTimestamp);
+    result = i >= 0 ? result.slice(i) : [];
+  }
+  return result;
+}
+
+/**
+ * @param {Object} [store] - Session store (default: createSessionStoreFromEnv())
+ */
+export function createPersistentSessionService(store = createSessionStoreFromEnv()) {
+  /**
+   * Per-session write queue, so this process's own appends and compactions don't contend. Writes themselves go
+   * through store.update(), which is atomic across processes for the redis store.
+   */
+  const locks = new Map();
+
+  function withLock(req, fn) {
+    const key = `${req.appName}\u0000${req.userId}\u0000${req.sessionId}`;
+    const prev = locks.get(key) ?? Promise.resolve();
+    const next = prev.catch(() => {}).then(fn);
+    const tail = next.catch(() => {});
+    locks.set(key, tail);
+    tail.then(() => {
+      if (locks.get(key) === tail) locks.delete(key);
+    });
+    return next;
+  }
+
+  return {
+    store,
+
+    async createSession({ appName, userId, state, sessionId }) {
+      const record = {
+        id: sessionId || randomUUID(),
+        appName,
+        userId,
+        state: state || {},
+        events: [],
+        lastUpdateTime: Date.now(),
+      };
+      await withLock({ appName, userId, sessionId: record.id }, () => store.put(record));
+      return record;
+    },
+
+    async getSession({ appName, userId, sessionId, config }) {
+      const record = await store.get({ appName, userId, sessionId });
+      if (!record) return undefined;
+      record.events = filterEvents(record.events || [], config);
+      record.state = record.state || {};
+      return record;
+    },
+
+    async listSessions({ appName, userId }) {
+      const records = await store.list({ appName, userId });
+      return {
+        sessions: records.map((r) => ({
+          id: r.id,
+          appName: r.appName,
+          userId: r.userId,
+          state: r.state || {},
+          events: [],
+          lastUpdateTime: r.lastUpdateTime,
+        })),
+      };
+    },
+
+    async deleteSession({ appName, userId, sessionId }) {
+      await withLock({ appName, userId, sessionId }, () => store.delete({ appName, userId, sessionId }));
+    },
+
+    async appendEvent({ session, event }) {
+      if (event.partial) return event;
+      // Mirror BaseSessionService: the caller's (possibly trimmed) session copy sees the event too
+      applyStateDelta(session.state, event);
+      session.events.push(event);
+      session.lastUpdateTime = event.timestamp;
+
+      const req = { appName: session.appName, userId: session.userId, sessionId: session.id };
+      const updated = await withLock(req, () =>
+        store.update(req, (record) => {
+          record.state = record.state || {};
+          applyStateDelta(record.state, event);
+          record.events = [...(record.events || []), event];
+          record.lastUpdateTime = event.timestamp;
+          return record;
+        }),
+      );
+      if (!updated) log.warn('Failed to append event: session not in store', { sessionId: session.id });
+      return event;
+    },
+
+    /**
+     * Merge delta into the stored session state (null values delete keys). Returns the new state, or undefined if missing.
+     * delta may be a function (state) => delta for read-modify-write edits; it sees the latest stored state (with the
+     * redis store it may run again after a concurrent write).
+     */
+    async updateState(req, delta) {
+      const updated = await withLock(req, () =>
+        store.update(req, (record) => {
+          record.state = record.state || {};
+          mergeState(record, typeof delta === 'function' ? delta(record.state, record) : delta);
+          return record;
+        }),
+      );
+      return updated?.state;
+    },
+
+    /**
+     * Atomic read-modify-write of the stored events: edit(events) returns the new list, or undefined to leave it.
+     * Returns whether anything was written. With the redis store edit may run again after a concurrent write.
+     */
+    async updateEvents(req, edit) {
+      const updated = await withLock(req, () =>
+        store.update(req, (record) => {
+          const events = edit(record.events || []);
+          if (!events) return undefined;
+          record.events = events;
+          return record;
+        }),
+      );
+      return Boolean(updated);
+    },
+
+    async loadEvents(req) {
+      const record = await store.get(req);
+      return record?.events;
+    },
+
+    async replaceEvents(req, events, { baseLength, baseLastEventId, stateDelta } = {}) {
+      const updated = await withLock(req, () =>
+        store.update(req, (record) => {
+          const current = record.events || [];
+          if (baseLastEventId !== undefined && current[baseLength - 1]?.id !== baseLastEventId) return undefined;
+          const tail = typeof baseLength === 'number' ? current.slice(baseLength) : [];
+          record.events = [...events, ...tail];
+          if (stateDelta) mergeState(record, stateDelta);
+          return record;
+        }),
+      );
+      return Boolean(updated);
+    },
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Pinned events — messages the user marked as must-keep (a spec, a coding convention). Pins live in
+ * session state as [{ eventId, pinnedAt }]; trimming always keeps pinned events and compaction never
+ * summarises them away. Set through the session pins routes or the /pin and /unpin chat commands.
+ */
+
+/** Session state key holding the pins. */
+export const PINS_STATE_KEY = 'pins';
+
+const PIN_COMMAND = /^\/(pin|unpin)(?:\s+([\s\S]*))?$/i;
+
+/** Pins in session state (tolerates a missing or malformed value). */
+export function getPins(state) {
+  const pins = state?.[PINS_STATE_KEY];
+  return Array.isArray(pins) ? pins.filter((p) => typeof p?.eventId === 'string') : [];
+}
+
+/** Set of pinned event ids. */
+export function pinnedEventIds(state) {
+  return new Set(getPins(state).map((p) => p.eventId));
+}
+
+/**
+ * State delta pinning eventId; for updateState(req, (state) => addPin(state, id)).
+ */
+export function addPin(state, eventId) {
+  const pins = getPins(state);
+  if (pins.some((p) => p.eventId === eventId)) return {};
+  return { [PINS_STATE_KEY]: [...pins, { eventId, pinnedAt: Date.now() }] };
+}
+
+/**
+ * State delta unpinning eventId (default: the most recent pin).
+ */
+export function removePin(state, eventId) {
+  const pins = getPins(state);
+  const target = eventId ?? pins[pins.length - 1]?.eventId;
+  const next = pins.filter((p) => p.eventId !== target);
+  if (next.length === pins.length) return {};
+  return { [PINS_STATE_KEY]: next.length ? next : null };
+}
+
+/**
+ * Parse a /pin or /unpin chat command.
+ * `/pin` pins the user's previous message, `/pin <text>` saves text as a pinned note, `/unpin` drops the latest pin.
+ * @param {string} text - The user's prompt, without the client's message envelope
+ * @param {string} [command] - Command sent alongside the prompt ("pin", "/unpin"); text is then its argument
+ * @returns {{ action: 'pin' | 'unpin'; text: string } | null}
+ */
+export function parsePinCommand(text, command) {
+  if (command) {
+    const action = String(command).replace(/^\//, '').toLowerCase();
+    return action === 'pin' || action === 'unpin' ? { action, text: (text || '').trim() } : null;
+  }
+  const match = PIN_COMMAND.exec((text || '').trim());
+  if (!match) return null;
+  return { action: match[1].toLowerCase(), text: (match[2] || '').trim() };
+}
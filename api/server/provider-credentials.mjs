@@ -0,0 +1,140 @@
+/**
+ * Provider credentials — API keys and extra headers per model provider, matched by base URL.
+ * A request only gets credentials when its URL has the same origin as a configured provider and sits under
+ * that provider's path, so a client-chosen baseUrl (or local Ollama) never receives someone else's key.
+ *
+ * Providers come from ADK_PROVIDERS (inline JSON) or ADK_PROVIDERS_FILE (a JSON secrets file):
+ *   [
+ *     { "id": "openai", "baseUrl": "https://api.openai.com/v1", "apiKeyEnv": "OPENAI_KEY", "organization": "org-..." },
+ *     { "id": "azure", "baseUrl": "https://res.openai.azure.com/openai/deployments/gpt-4o",
+ *       "apiKey": "...", "auth": "api-key", "query": { "api-version": "2024-10-21" } },
+ *     { "id": "gateway", "baseUrl": "https://llm.internal/v1", "headers": { "X-Team": "tools" } }
+ *   ]
+ * auth is "bearer" (default), "api-key" (Azure) or "none". OPENAI_API_KEY still works: it becomes the
+ * provider for OPENAI_COMPATIBLE_BASE_URL unless a configured provider already covers that URL.
+ */
+import fs from 'fs';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch (_) {
+    return null;
+  }
+}
+
+function readProvidersFromEnv(env) {
+  const raw = env.ADK_PROVIDERS || (env.ADK_PROVIDERS_FILE ? fs.readFileSync(env.ADK_PROVIDERS_FILE, 'utf8') : '');
+  if (!raw.trim()) return [];
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Invalid provider config (${env.ADK_PROVIDERS ? 'ADK_PROVIDERS' : env.ADK_PROVIDERS_FILE}): ${err.message}`);
+  }
+  return Array.isArray(parsed) ? parsed : parsed?.providers ?? [];
+}
+
+/**
+ * @param {Object[]} providers - See module doc
+ * @param {Object} [env] - For apiKeyEnv lookups and the OPENAI_API_KEY default
+ */
+export function createCredentialStore(providers = [], env = process.env) {
+  const entries = [];
+  for (const [i, spec] of providers.entries()) {
+    const url = parseUrl(spec?.baseUrl);
+    if (!url) throw new Error(`Provider ${spec?.id ?? i} needs a valid baseUrl`);
+    if (spec.auth && !['bearer', 'api-key', 'none'].includes(spec.auth)) {
+      throw new Error(`Provider ${spec.id ?? i}: auth must be bearer, api-key or none`);
+    }
+    entries.push({
+      id: spec.id ?? url.host,
+      origin: url.origin,
+      path: url.pathname.replace(/\/$/, ''),
+      baseUrl: `${url.origin}${url.pathname.replace(/\/$/, '')}`,
+      apiKey: spec.apiKey ?? (spec.apiKeyEnv ? env[spec.apiKeyEnv] : undefined),
+      auth: spec.auth ?? 'bearer',
+      organization: spec.organization,
+      project: spec.project,
+      headers: spec.headers ?? {},
+      query: spec.query ?? {},
+    });
+  }
+
+  function match(target) {
+    const url = parseUrl(target);
+    if (!url) return null;
+    const path = url.pathname.replace(/\/$/, '');
+    let best = null;
+    for (const entry of entries) {
+      if (entry.origin !== url.origin) continue;
+      if (path !== entry.path && !path.startsWith(`${entry.path}/`)) continue;
+      if (!best || entry.path.length > best.path.length) best = entry;
+    }
+    return best;
+  }
+
+  if (env.OPENAI_API_KEY) {
+    const base = (env.OPENAI_COMPATIBLE_BASE_URL ?? DEFAULT_BASE_URL).replace(/\/$/, '');
+    const url = parseUrl(base);
+    if (url && !match(base)) {
+      entries.push({ id: 'default', origin: url.origin, path: url.pathname.replace(/\/$/, ''), baseUrl: base, apiKey: env.OPENAI_API_KEY, auth: 'bearer', headers: {}, query: {} });
+    }
+  }
+
+  return {
+    /** Configured provider by id (for model entries that name a provider instead of a baseUrl). */
+    get(id) {
+      return entries.find((entry) => entry.id === id) ?? null;
+    },
+
+    /** Provider id serving url, or null. */
+    providerFor(url) {
+      return match(url)?.id ?? null;
+    },
+
+    /** The provider's API key for url, or null (no provider covers it, or it sends no key). */
+    apiKeyFor(url) {
+      const entry = match(url);
+      return entry && entry.auth !== 'none' ? entry.apiKey ?? null : null;
+    },
+
+    /**
+     * Auth and custom headers for a request to url; {} when no provider covers it.
+     */
+    headersFor(url) {
+      const entry = match(url);
+      if (!entry) return {};
+      const headers = { ...entry.headers };
+      if (entry.apiKey && entry.auth === 'bearer') headers.Authorization = `Bearer ${entry.apiKey}`;
+      if (entry.apiKey && entry.auth === 'api-key') headers['api-key'] = entry.apiKey;
+      if (entry.organization) headers['OpenAI-Organization'] = entry.organization;
+      if (entry.project) headers['OpenAI-Project'] = entry.project;
+      return headers;
+    },
+
+    /**
+     * url with the provider's query parameters (e.g. Azure's api-version) plus headersFor(url).
+     * @returns {{ url: string; headers: Object }}
+     */
+    prepare(url) {
+      const entry = match(url);
+      if (!entry || !Object.keys(entry.query).length) return { url, headers: this.headersFor(url) };
+      const withQuery = new URL(url);
+      for (const [key, value] of Object.entries(entry.query)) {
+        if (!withQuery.searchParams.has(key)) withQuery.searchParams.set(key, String(value));
+      }
+      return { url: withQuery.toString(), headers: this.headersFor(url) };
+    },
+  };
+}
+
+let store = null;
+
+/** Process-wide store from ADK_PROVIDERS / ADK_PROVIDERS_FILE and OPENAI_API_KEY (read once). */
+export function getCredentialStore() {
+  store ??= createCredentialStore(readProvidersFromEnv(process.env));
+  return store;
+}
@@ -0,0 +1,123 @@
+/**
+ * Per-request context — isolates each /run_sse caller's settings (model override, context limit,
+ * retry trimming, tool executor URL) via AsyncLocalStorage, so concurrent runs never see each other's state.
+ *
+ * Prebuilt agent bundles can't import this module, so the current context is also exposed as
+ * globalThis.__ADK_REQUEST_CONTEXT, and globalThis.__ADK_MODEL_OVERRIDE reads through to it.
+ * Existing agents read the tool executor from process.env.ADK_TOOL_EXECUTOR_URL at call time (the servers used
+ * to overwrite it per request); that variable now reads through to the current request's toolExecutorUrl too.
+ * Likewise OPENAI_API_KEY, read during a request, is the credential store's key for the request's model base URL
+ * (none for hosts no provider covers). Agents that read it at import time, or need a provider's extra headers,
+ * still have to use providerAuth.
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+import { getCredentialStore } from './provider-credentials.mjs';
+
+const DEFAULT_RETRY_TRIM_PERCENT = 12.5;
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Build a request context from /run_sse body fields, validating each value.
+ * @param {Object} body
+ * @param {{ baseUrl?: string; model?: string } | null} [body.modelOverride]
+ * @param {number} [body.contextLimit] - Model context window reported by the client
+ * @param {number} [body.retryTrimPercent] - Budget percentage kept when retrying after a token-limit error (1–100)
+ * @param {string} [body.toolExecutorUrl]
+ */
+export function createRequestContext({ modelOverride, contextLimit, retryTrimPercent, toolExecutorUrl } = {}) {
+  return {
+    modelOverride: modelOverride ?? null,
+    contextLimit: typeof contextLimit === 'number' && contextLimit > 0 ? contextLimit : null,
+    retryTrimPercent:
+      typeof retryTrimPercent === 'number' && retryTrimPercent >= 1 && retryTrimPercent <= 100 ? retryTrimPercent : DEFAULT_RETRY_TRIM_PERCENT,
+    /** Set after a token-limit error; scales the trimming budget for the retry. */
+    retryTokenBudgetFactor: null,
+    toolExecutorUrl: toolExecutorUrl || process.env.ADK_TOOL_EXECUTOR_URL || '',
+    /** Set when tool calls go over the client's relay channel: runTool(body) → executor result (see tool-relay.mjs). */
+    runTool: null,
+    /** AbortSignal of the run (set by /run_sse); model, summarizer and tool fetches should pass it on. */
+    signal: null,
+    /** Trimmed history getSession handed the runner: { at, budget, totalEvents, events: [{ id, tokens, stubbed? }] }. */
+    contextReport: null,
+    /** The session getSession returned; the runner appends the run's events to it (see completeContextReport). */
+    contextSession: null,
+    /**
+     * Credentials for a model request: providerAuth(url) → { url, headers } ({} headers for unconfigured hosts).
+     * Agents' model adapters should use this; OPENAI_API_KEY only carries the key, without the provider's headers.
+     */
+    providerAuth: (url) => getCredentialStore().prepare(url),
+    /** Set by /run_sse; structured logs carry them (see logger.mjs). */
+    runId: null,
+    sessionId: null,
+  };
+}
+
+/**
+ * Run fn with ctx as the current request context (for fn and everything it awaits).
+ */
+export function runWithRequestContext(ctx, fn) {
+  return storage.run(ctx, fn);
+}
+
+/**
+ * Current request context, or null outside a request (e.g. background work).
+ */
+export function getRequestContext() {
+  return storage.getStore() ?? null;
+}
+
+Object.defineProperty(globalThis, '__ADK_REQUEST_CONTEXT', {
+  configurable: true,
+  get: () => getRequestContext(),
+});
+
+Object.defineProperty(globalThis, '__ADK_MODEL_OVERRIDE', {
+  configurable: true,
+  get: () => getRequestContext()?.modelOverride ?? null,
+  set: (value) => {
+    const ctx = getRequestContext();
+    if (ctx) ctx.modelOverride = value ?? null;
+  },
+});
+
+/**
+ * process.env rejects getters, so it is wrapped in a Proxy that answers ADK_TOOL_EXECUTOR_URL and OPENAI_API_KEY from
+ * the current request (falling back to the real variables outside one) and passes everything else through unchanged.
+ */
+const TOOL_EXECUTOR_ENV = 'ADK_TOOL_EXECUTOR_URL';
+const API_KEY_ENV = 'OPENAI_API_KEY';
+const requestScopedEnv = Symbol.for('adk.requestScopedEnv');
+
+let resolvingApiKey = false;
+
+/** Key for the model the request is routed to (its override, else OPENAI_COMPATIBLE_BASE_URL), or undefined. */
+function requestApiKey(ctx, env) {
+  // Building the credential store reads OPENAI_API_KEY itself, and must get the real one
+  if (resolvingApiKey) return env[API_KEY_ENV];
+  resolvingApiKey = true;
+  try {
+    const baseUrl = ctx.modelOverride?.baseUrl || env.OPENAI_COMPATIBLE_BASE_URL || DEFAULT_BASE_URL;
+    return getCredentialStore().apiKeyFor(baseUrl) ?? undefined;
+  } finally {
+    resolvingApiKey = false;
+  }
+}
+
+if (!process.env[requestScopedEnv]) {
+  const env = process.env;
+  process.env = new Proxy(env, {
+    get(target, key) {
+      if (key === requestScopedEnv) return true;
+      if (key === TOOL_EXECUTOR_ENV) return getRequestContext()?.toolExecutorUrl || target[key];
+      if (key === API_KEY_ENV && getRequestContext()) return requestApiKey(getRequestContext(), target);
+      return Reflect.get(target, key);
+    },
+    has(target, key) {
+      const ctx = getRequestContext();
+      if (key === API_KEY_ENV && ctx) return requestApiKey(ctx, target) !== undefined;
+      return (key === TOOL_EXECUTOR_ENV && Boolean(ctx?.toolExecutorUrl)) || Reflect.has(target, key);
+    },
+  });
+}
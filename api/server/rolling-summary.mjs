@@ -0,0 +1,105 @@
+/**
+ * Rolling conversation summary — the structured record compaction keeps in session state.
+ * Each compaction extracts items from the newly compacted span only and merges them into the stored
+ * summary, so file paths, decisions and user instructions survive any number of rounds instead of
+ * decaying through summaries of summaries. The merged summary is rendered into the history as a
+ * single "[Previous conversation summary]" event.
+ */
+
+/** Session state key holding the structured summary. */
+export const SUMMARY_STATE_KEY = 'summary';
+
+/** List fields, in render order, with their headings. */
+export const SUMMARY_FIELDS = {
+  goals: 'Goals',
+  instructions: 'User instructions (keep following these)',
+  decisions: 'Decisions',
+  files: 'Files touched',
+  openTasks: 'Open tasks',
+  facts: 'Facts',
+  notes: 'Notes',
+};
+
+const MAX_ITEMS_PER_FIELD = 40;
+const MAX_ITEM_CHARS = 1000;
+const SUMMARY_HEADER = '[Previous conversation summary]';
+
+const normalize = (item) => item.toLowerCase().replace(/\s+/g, ' ').trim();
+
+function toItems(value) {
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? [value] : [];
+  return list
+    .filter((item) => typeof item === 'string')
+    .map((item) => item.trim().slice(0, MAX_ITEM_CHARS))
+    .filter(Boolean);
+}
+
+/**
+ * Parse and validate a model's summary output. Tolerates code fences, <think> blocks and prose around
+ * the JSON object. Returns null when no usable object is found.
+ */
+export function parseSummary(text) {
+  if (typeof text !== 'string') return null;
+  const cleaned = text.replace(/<think>[\s\S]*?<\/think>/g, '');
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start < 0 || end <= start) return null;
+  let raw;
+  try {
+    raw = JSON.parse(cleaned.slice(start, end + 1));
+  } catch (_) {
+    return null;
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+  const known = [...Object.keys(SUMMARY_FIELDS), 'completedTasks'];
+  if (!known.some((key) => key in raw)) return null;
+  const summary = {};
+  for (const key of known) summary[key] = toItems(raw[key]);
+  return summary;
+}
+
+/**
+ * Merge newly extracted items into the stored summary: lists are unioned (case-insensitive), open tasks
+ * the model reported as completed are dropped, and each list keeps its newest MAX_ITEMS_PER_FIELD items.
+ */
+export function mergeSummaries(previous, extracted) {
+  const merged = {};
+  for (const key of Object.keys(SUMMARY_FIELDS)) {
+    const seen = new Set();
+    const items = [];
+    for (const item of [...toItems(previous?.[key]), ...toItems(extracted?.[key])]) {
+      const norm = normalize(item);
+      if (seen.has(norm)) continue;
+      seen.add(norm);
+      items.push(item);
+    }
+    merged[key] = items.slice(-MAX_ITEMS_PER_FIELD);
+  }
+  const completed = toItems(extracted?.completedTasks).map(normalize);
+  if (completed.length) {
+    merged.openTasks = merged.openTasks.filter((task) => {
+      const norm = normalize(task);
+      return !completed.some((done) => done === norm || norm.includes(done) || done.includes(norm));
+    });
+  }
+  merged.compactions = (previous?.compactions ?? 0) + 1;
+  merged.updatedAt = Date.now();
+  return merged;
+}
+
+/** True for the summary event compaction puts at the head of the history. */
+export function isSummaryEvent(event) {
+  return event?.customMetadata?.compactionSummary === true;
+}
+
+/**
+ * Prompt text for a summary; empty lists are left out.
+ */
+export function renderSummary(summary) {
+  const sections = [SUMMARY_HEADER];
+  for (const [key, heading] of Object.entries(SUMMARY_FIELDS)) {
+    const items = toItems(summary?.[key]);
+    if (items.length) sections.push(`${heading}:\n${items.map((item) => `- ${item}`).join('\n')}`);
+  }
+  return sections.join('\n\n');
+}
@@ -0,0 +1,190 @@
+/**
+ * Run registry — tracks /run_sse runs so they can be cancelled (POST /runs/:runId/cancel) and resumed.
+ * Each run owns an AbortController whose signal is shared with the runner loop and, via the request
+ * context, model/summarizer fetches. Frames are numbered and buffered per run: a dropped client can
+ * reattach with Last-Event-ID (or ?from=N), get the missed frames replayed and keep tailing the run.
+ * A run whose last client disconnects is cancelled at once, or — when the client asked for a resumable run —
+ * after a grace period (ADK_RUN_RESUME_GRACE_MS, 0 = at once) unless someone reattaches; finished runs stay
+ * replayable for a retention window.
+ *
+ * Runs and their frame buffers live in this process only: resuming works against a long-running server
+ * (the embedded one), not across serverless instances — and a serverless run ends at the function's
+ * maximum duration whether or not a client is attached.
+ */
+import { randomUUID } from 'crypto';
+
+const DEFAULT_GRACE_MS = 20000;
+const DEFAULT_RETENTION_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_FRAMES = 20000;
+
+function envMs(name, fallback) {
+  const ms = parseInt(process.env[name] ?? '', 10);
+  return Number.isFinite(ms) && ms >= 0 ? ms : fallback;
+}
+
+function writeFrame(res, frame) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`id: ${frame.id}\ndata: ${frame.data}\n\n`);
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {number} [opts.graceMs] - Cancel a resumable run this long after its last client disconnects (ADK_RUN_RESUME_GRACE_MS; 0 = at once)
+ * @param {number} [opts.retentionMs] - Keep finished runs replayable this long (ADK_RUN_RETENTION_MS)
+ * @param {number} [opts.maxFrames=20000] - Per-run frame buffer; older frames are dropped beyond it
+ */
+export function createRunRegistry(opts = {}) {
+  // 0 is meaningful for both (cancel as soon as the client leaves / don't keep finished runs), so only NaN falls back
+  const graceMs = opts.graceMs ?? envMs('ADK_RUN_RESUME_GRACE_MS', DEFAULT_GRACE_MS);
+  const retentionMs = opts.retentionMs ?? envMs('ADK_RUN_RETENTION_MS', DEFAULT_RETENTION_MS);
+  const maxFrames = opts.maxFrames ?? DEFAULT_MAX_FRAMES;
+  /** runId → { id, userId, sessionId, resumable, controller, startedAt, frames, nextFrameId, clients, finished, graceTimer } */
+  const runs = new Map();
+
+  function cancel(run, reason) {
+    if (!run.finished && !run.controller.signal.aborted) run.controller.abort(new Error(reason));
+  }
+
+  function detach(run, res) {
+    run.clients.delete(res);
+    if (run.clients.size === 0 && !run.finished && !run.graceTimer) {
+      run.graceTimer = setTimeout(() => {
+        run.graceTimer = null;
+        if (run.clients.size === 0) cancel(run, 'Client disconnected');
+      }, run.resumable ? graceMs : 0);
+    }
+  }
+
+  return {
+    /**
+     * Register a new run. The returned run's controller aborts it. Only a resumable run outlives its client
+     * for the grace period; any other is cancelled as soon as the client disconnects.
+     */
+    start({ userId, sessionId, resumable = false }) {
+      const run = {
+        id: randomUUID(),
+        userId,
+        sessionId,
+        resumable,
+        controller: new AbortController(),
+        startedAt: Date.now(),
+        frames: [],
+        nextFrameId: 1,
+        clients: new Set(),
+        finished: false,
+        graceTimer: null,
+      };
+      runs.set(run.id, run);
+      return run;
+    },
+
+    /**
+     * Run by id, or null. When userId is given it must own the run.
+     */
+    get(runId, userId) {
+      const run = runs.get(runId);
+      if (!run || (userId !== undefined && run.userId !== userId)) return null;
+      return run;
+    },
+
+    /**
+     * Abort an unfinished run. When userId is given it must own the run. Returns false if no such run.
+     */
+    cancel(runId, reason = 'Cancelled by user', userId) {
+      const run = runs.get(runId);
+      if (!run || run.finished || (userId !== undefined && run.userId !== userId)) return false;
+      cancel(run, reason);
+      return true;
+    },
+
+    /**
+     * Number, buffer and fan out one frame to every attached client.
+     */
+    publish(run, data) {
+      const frame = { id: run.nextFrameId++, data: JSON.stringify(data) };
+      run.frames.push(frame);
+      if (run.frames.length > maxFrames) run.frames.shift();
+      for (const res of run.clients) writeFrame(res, frame);
+    },
+
+    /**
+     * Attach an SSE response (headers already sent): replay frames after afterId, then tail the run.
+     * Ends the response right away if the run has already finished.
+     */
+    attach(run, res, afterId = 0) {
+      if (run.graceTimer) {
+        clearTimeout(run.graceTimer);
+        run.graceTimer = null;
+      }
+      const oldest = run.frames[0]?.id ?? run.nextFrameId;
+      if (afterId + 1 < oldest) {
+        res.write(`data: ${JSON.stringify({ error: `Frames before ${oldest} are no longer buffered` })}\n\n`);
+      }
+      for (const frame of run.frames) {
+        if (frame.id > afterId) writeFrame(res, frame);
+      }
+      if (run.finished) {
+        res.end();
+        return;
+      }
+      run.clients.add(res);
+      res.on('close', () => detach(run, res));
+    },
+
+    /**
+     * Mark the run finished: end attached clients and keep frames replayable for the retention window.
+     */
+    finish(run) {
+      run.finished = true;
+      if (run.graceTimer) clearTimeout(run.graceTimer);
+      for (const res of run.clients) {
+        if (!res.writableEnded) res.end();
+      }
+      run.clients.clear();
+      setTimeout(() => runs.delete(run.id), retentionMs).unref?.();
+    },
+  };
+}
+
+/**
+ * Iterate an async iterator until the signal aborts. On abort, stops waiting for the pending item and
+ * asks the iterator to return (an async generator stops at its next yield, so no further tool calls run).
+ * The returned generator's `settled` promise resolves once the source has really finished — await it
+ * before touching state the source may still write (e.g. the runner appending its in-flight event).
+ */
+export function abortable(iterable, signal) {
+  const iterator = iterable[Symbol.asyncIterator]();
+  let resolveSettled;
+  const settled = new Promise((resolve) => {
+    resolveSettled = resolve;
+  });
+
+  async function* iterate() {
+    let onAbort;
+    const aborted = new Promise((resolve) => {
+      onAbort = () => resolve({ aborted: true });
+      if (signal.aborted) onAbort();
+      else signal.addEventListener('abort', onAbort, { once: true });
+    });
+    try {
+      while (true) {
+        const pending = iterator.next();
+        const next = await Promise.race([pending, aborted]);
+        if (next.aborted) {
+          pending.catch(() => {});
+          return;
+        }
+        if (next.done) return;
+        yield next.value;
+      }
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+      // Don't await: a generator busy in a model call only honours return() at its next yield
+      Promise.resolve(iterator.return?.()).catch(() => {}).then(() => resolveSettled());
+    }
+  }
+
+  const generator = iterate();
+  generator.settled = settled;
+  return generator;
+}
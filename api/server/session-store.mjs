@@ -0,0 +1,273 @@
+/**
+ * Session stores — storage backends for createPersistentSessionService and compaction write-back.
+ * A store persists plain session records ({ id, appName, userId, state, events, lastUpdateTime }):
+ *   get({ appName, userId, sessionId }) → record | undefined
+ *   put(record)
+ *   delete({ appName, userId, sessionId })
+ *   list({ appName, userId }) → records (events may be omitted)
+ *   update({ appName, userId, sessionId }, mutate) → mutated record | undefined
+ *     Atomic read-modify-write: mutate(record) edits the record and returns it (undefined skips the write).
+ *     The redis store may call mutate more than once when another writer got in first.
+ * Selected by ADK_SESSION_STORE: memory (default), file (JSON files under ADK_SESSION_DIR), redis (ADK_REDIS_URL).
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_SESSION_DIR = path.join(__dirname, '..', '.sessions');
+
+/**
+ * Whether value can key a session record (user or session id). '.', '..' and '' are rejected because the
+ * file store uses keys as path segments; everything else is percent-encoded there.
+ */
+export function isValidSessionKey(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= 256 && value !== '.' && value !== '..';
+}
+
+function cloneRecord(record) {
+  return record ? JSON.parse(JSON.stringify(record)) : undefined;
+}
+
+/** update() for single-process stores: callers serialize writes per session (PersistentSessionService's lock). */
+async function updateWithGetPut(store, req, mutate) {
+  const record = await store.get(req);
+  if (!record) return undefined;
+  const updated = await mutate(record);
+  if (updated) await store.put(updated);
+  return updated;
+}
+
+/**
+ * In-process store. Same lifetime as InMemorySessionService, but behind the store interface.
+ */
+export function createMemorySessionStore() {
+  const sessions = {};
+
+  return {
+    kind: 'memory',
+    async get({ appName, userId, sessionId }) {
+      return cloneRecord(sessions[appName]?.[userId]?.[sessionId]);
+    },
+    async put(record) {
+      sessions[record.appName] = sessions[record.appName] || {};
+      sessions[record.appName][record.userId] = sessions[record.appName][record.userId] || {};
+      sessions[record.appName][record.userId][record.id] = cloneRecord(record);
+    },
+    async delete({ appName, userId, sessionId }) {
+      if (sessions[appName]?.[userId]) delete sessions[appName][userId][sessionId];
+    },
+    async list({ appName, userId }) {
+      return Object.values(sessions[appName]?.[userId] || {}).map((r) => cloneRecord(r));
+    },
+    async update(req, mutate) {
+      return updateWithGetPut(this, req, mutate);
+    },
+  };
+}
+
+/**
+ * JSON-file store — one file per session at <dir>/<appName>/<userId>/<sessionId>.json.
+ * Writes go to a temp file and are renamed into place so a crash never leaves half a session.
+ * Meant for one server process (the embedded server); concurrent processes could lose each other's updates.
+ * @param {string} [dir] - Root directory (default: ADK_SESSION_DIR or <extension>/.sessions)
+ */
+export function createFileSessionStore(dir = process.env.ADK_SESSION_DIR || DEFAULT_SESSION_DIR) {
+  const root = path.resolve(dir);
+
+  function segment(value, what) {
+    if (!isValidSessionKey(value)) throw new Error(`Invalid ${what} for session store: ${JSON.stringify(value)}`);
+    return encodeURIComponent(value);
+  }
+
+  /** Resolved path under root; throws rather than ever touching a file outside it. */
+  function inside(...segments) {
+    const file = path.resolve(root, ...segments);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Session path escapes ${root}: ${file}`);
+    return file;
+  }
+
+  const userDir = (appName, userId) => inside(segment(appName, 'appName'), segment(userId, 'userId'));
+  const sessionFile = (appName, userId, sessionId) =>
+    inside(segment(appName, 'appName'), segment(userId, 'userId'), `${segment(sessionId, 'sessionId')}.json`);
+
+  async function readRecord(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return undefined;
+      throw err;
+    }
+  }
+
+  return {
+    kind: 'file',
+    async get({ appName, userId, sessionId }) {
+      return readRecord(sessionFile(appName, userId, sessionId));
+    },
+    async put(record) {
+      const file = sessionFile(record.appName, record.userId, record.id);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(record), 'utf8');
+      await fs.rename(tmp, file);
+    },
+    async delete({ appName, userId, sessionId }) {
+      await fs.rm(sessionFile(appName, userId, sessionId), { force: true });
+    },
+    async list({ appName, userId }) {
+      const sessionsDir = userDir(appName, userId);
+      let names;
+      try {
+        names = await fs.readdir(sessionsDir);
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const records = [];
+      for (const name of names) {
+        if (!name.endsWith('.json')) continue;
+        const record = await readRecord(path.join(sessionsDir, name)).catch(() => undefined);
+        if (record) records.push(record);
+      }
+      return records;
+    },
+    async update(req, mutate) {
+      return updateWithGetPut(this, req, mutate);
+    },
+  };
+}
+
+/** Attempts at a compare-and-set update before giving up (each retry re-reads the session). */
+const MAX_UPDATE_ATTEMPTS = 20;
+
+/**
+ * Write the session only if its version is still the one we read: KEYS session, version, index;
+ * ARGV expected version, record JSON, session id, TTL seconds (0 = none). Returns 1 when written, 0 on conflict.
+ */
+const COMPARE_AND_SET = `
+local current = redis.call('GET', KEYS[2]) or '0'
+if current ~= ARGV[1] then return 0 end
+local nextVersion = tostring(tonumber(current) + 1)
+local ttl = tonumber(ARGV[4])
+if ttl > 0 then
+  redis.call('SET', KEYS[1], ARGV[2], 'EX', ttl)
+  redis.call('SET', KEYS[2], nextVersion, 'EX', ttl)
+else
+  redis.call('SET', KEYS[1], ARGV[2])
+  redis.call('SET', KEYS[2], nextVersion)
+end
+redis.call('SADD', KEYS[3], ARGV[3])
+return 1
+`;
+
+/**
+ * Redis store — for serverless deployments (Upstash, Redis Cloud, self-hosted; anything speaking RESP).
+ * Each session is a JSON string next to a version counter; a per-user set indexes session ids for list().
+ * update() is a compare-and-set on the version (a Lua script), so concurrent instances — or a background
+ * compaction racing a new run — retry on the fresh record instead of overwriting each other's events.
+ * @param {string} [url] - Connection URL (default: ADK_REDIS_URL or REDIS_URL)
+ * @param {Object} [opts]
+ * @param {string} [opts.prefix='adk'] - Key prefix
+ * @param {number} [opts.ttlSeconds] - Expire sessions after N seconds idle (ADK_SESSION_TTL_SECONDS)
+ * @param {Object} [opts.client] - ioredis-compatible client to use instead of connecting to url
+ */
+export function createRedisSessionStore(url = process.env.ADK_REDIS_URL || process.env.REDIS_URL, opts = {}) {
+  if (!url && !opts.client) throw new Error('Redis session store requires ADK_REDIS_URL (or REDIS_URL)');
+  const prefix = opts.prefix ?? process.env.ADK_REDIS_PREFIX ?? 'adk';
+  const ttlSeconds = opts.ttlSeconds ?? (parseInt(process.env.ADK_SESSION_TTL_SECONDS || '0', 10) || 0);
+  let clientPromise = null;
+
+  // Segments are joined with ':', so ':' (and '%', to keep the encoding unambiguous) is percent-encoded;
+  // ids without either keep the keys they had before.
+  const seg = (value) => String(value).replace(/[%:]/g, encodeURIComponent);
+  const sessionKey = (appName, userId, sessionId) => `${prefix}:session:${seg(appName)}:${seg(userId)}:${seg(sessionId)}`;
+  const versionKey = (appName, userId, sessionId) => `${prefix}:session-version:${seg(appName)}:${seg(userId)}:${seg(sessionId)}`;
+  const indexKey = (appName, userId) => `${prefix}:sessions:${seg(appName)}:${seg(userId)}`;
+
+  function getClient() {
+    clientPromise =
+      clientPromise ??
+      (opts.client ? Promise.resolve(opts.client) : import('ioredis').then(({ default: Redis }) => new Redis(url, { lazyConnect: false, maxRetriesPerRequest: 2 }))).then(
+        (client) => {
+          client.defineCommand('adkSessionCas', { numberOfKeys: 3, lua: COMPARE_AND_SET });
+          return client;
+        },
+      );
+    return clientPromise;
+  }
+
+  return {
+    kind: 'redis',
+    async get({ appName, userId, sessionId }) {
+      const client = await getClient();
+      const raw = await client.get(sessionKey(appName, userId, sessionId));
+      return raw ? JSON.parse(raw) : undefined;
+    },
+    async put(record) {
+      const client = await getClient();
+      const key = sessionKey(record.appName, record.userId, record.id);
+      const version = versionKey(record.appName, record.userId, record.id);
+      const multi = client.multi();
+      if (ttlSeconds > 0) multi.set(key, JSON.stringify(record), 'EX', ttlSeconds);
+      else multi.set(key, JSON.stringify(record));
+      // Bumping the version makes a concurrent update() retry on top of this write
+      multi.incr(version);
+      if (ttlSeconds > 0) multi.expire(version, ttlSeconds);
+      multi.sadd(indexKey(record.appName, record.userId), record.id);
+      await multi.exec();
+    },
+    async delete({ appName, userId, sessionId }) {
+      const client = await getClient();
+      await client
+        .multi()
+        .del(sessionKey(appName, userId, sessionId), versionKey(appName, userId, sessionId))
+        .srem(indexKey(appName, userId), sessionId)
+        .exec();
+    },
+    async list({ appName, userId }) {
+      const client = await getClient();
+      const ids = await client.smembers(indexKey(appName, userId));
+      if (!ids.length) return [];
+      const raws = await client.mget(ids.map((id) => sessionKey(appName, userId, id)));
+      const records = [];
+      const expired = [];
+      raws.forEach((raw, i) => {
+        if (raw) records.push(JSON.parse(raw));
+        else expired.push(ids[i]);
+      });
+      if (expired.length) await client.srem(indexKey(appName, userId), ...expired);
+      return records;
+    },
+    async update({ appName, userId, sessionId }, mutate) {
+      const client = await getClient();
+      const keys = [sessionKey(appName, userId, sessionId), versionKey(appName, userId, sessionId), indexKey(appName, userId)];
+      for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+        const [raw, version] = await client.mget(keys[0], keys[1]);
+        if (!raw) return undefined;
+        const updated = await mutate(JSON.parse(raw));
+        if (!updated) return undefined;
+        if (await client.adkSessionCas(...keys, version ?? '0', JSON.stringify(updated), sessionId, ttlSeconds)) return updated;
+      }
+      throw new Error(`Session ${sessionId} changed ${MAX_UPDATE_ATTEMPTS} times while being updated; giving up`);
+    },
+  };
+}
+
+/**
+ * Pick a store from ADK_SESSION_STORE (memory | file | redis).
+ */
+export function createSessionStoreFromEnv(env = process.env) {
+  const kind = (env.ADK_SESSION_STORE || 'memory').toLowerCase();
+  switch (kind) {
+    case 'memory':
+      return createMemorySessionStore();
+    case 'file':
+    case 'json':
+      return createFileSessionStore(env.ADK_SESSION_DIR || DEFAULT_SESSION_DIR);
+    case 'redis':
+      return createRedisSessionStore(env.ADK_REDIS_URL || env.REDIS_URL);
+    default:
+      throw new Error(`Unknown ADK_SESSION_STORE: ${kind} (expected memory, file or redis)`);
+  }
+}
@@ -1,24 +1,23 @@
 /**
  * Minimal LLM adapter for summarization — uses same OpenAI-compatible endpoint as the agent.
- * Respects __ADK_MODEL_OVERRIDE (UI-selected model) when set, otherwise falls back to env vars.
+ * The model comes from the model router: its summarizer model when configured, else the request's
+ * modelOverride (UI-selected model), else the router's primary / env defaults.
  */
-const defaultBaseUrl = (process.env.OPENAI_COMPATIBLE_BASE_URL ?? 'http://localhost:11434/v1').replace(/\/$/, '');
-const defaultModel = process.env.OPENAI_COMPATIBLE_MODEL ?? process.env.ADK_COMPACTION_MODEL ?? 'glm-5:cloud';
-const apiKey = process.env.OPENAI_API_KEY;
+import { getRequestContext } from './request-context.mjs';
+import { traceHeaders, withSpan } from './tracing.mjs';
+import { getModelRouter } from './model-router.mjs';
+import { getCredentialStore } from './provider-credentials.mjs';
 
-function getOverride() {
-  return (typeof globalThis !== 'undefined' && globalThis.__ADK_MODEL_OVERRIDE) ?? null;
+function getTarget() {
+  return getModelRouter().summarizerModel(getRequestContext()?.modelOverride ?? null);
 }
 
 export const summarizerLlm = {
   get model() {
-    const override = getOverride();
-    return override?.model ?? defaultModel;
+    return getTarget().model;
   },
   async *generateContentAsync(llmRequest, stream = false) {
-    const override = getOverride();
-    const baseUrl = override?.baseUrl ?? defaultBaseUrl;
-    const model = override?.model ?? llmRequest?.model ?? defaultModel;
+    const { baseUrl, model } = getTarget();
 
     const contents = llmRequest?.contents ?? [];
     const messages = contents.map((c) => ({
@@ -26,27 +25,37 @@ export const summarizerLlm = {
       content: (c.parts ?? []).map((p) => p?.text ?? '').join('\n'),
     }));
 
-    const url = `${baseUrl}/chat/completions`;
-    const headers = { 'Content-Type': 'application/json' };
-    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+    // Credentials only for a configured provider of this URL (see provider-credentials.mjs)
+    const { url, headers: providerHeaders } = getCredentialStore().prepare(`${baseUrl}/chat/completions`);
+    const attributes = { 'gen_ai.request.model': model, 'adk.messages': messages.length };
+    const result = await withSpan('summarize', { kind: 'client', attributes }, async (span) => {
+      const headers = { 'Content-Type': 'application/json', ...providerHeaders, ...traceHeaders() };
 
-    const res = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({
-        model,
-        messages,
-        stream: false,
-      }),
+      const res = await fetch(url, {
+        method: 'POST',
+        signal: getRequestContext()?.signal,
+        headers,
+        body: JSON.stringify({
+          model,
+          messages,
+          stream: false,
+        }),
+      });
+      span?.setAttribute('http.response.status_code', res.status);
+      if (!res.ok) return { ok: false, status: res.status, errText: (await res.text()) || res.statusText };
+      const json = await res.json();
+      if (json?.usage) {
+        span?.setAttributes({ 'gen_ai.usage.input_tokens': json.usage.prompt_tokens, 'gen_ai.usage.output_tokens': json.usage.completion_tokens });
+      }
+      return { ok: true, json };
     });
 
-    if (!res.ok) {
-      const errText = await res.text();
-      yield { errorCode: String(res.status), errorMessage: errText || res.statusText };
+    if (!result.ok) {
+      yield { errorCode: String(result.status), errorMessage: result.errText };
       return;
     }
 
-    const json = await res.json();
+    const json = result.json;
     const choice = json?.choices?.[0];
     const content = choice?.message?.content ?? '';
     yield {
@@ -0,0 +1,206 @@
+/**
+ * Token accounting for trimming, context ranking and compaction — replaces the old text.length / 4 estimate.
+ * Counts every part type: text and thoughts, function call args, function responses, code execution and
+ * attachments (inline / file data).
+ *
+ * Tokenizers:
+ *   - Bundled BPE (gpt-tokenizer): o200k_base for GPT-4o / 4.1 / 5, o-series and gpt-oss; cl100k_base for
+ *     everything else, a close fit for Llama / Qwen / GLM / DeepSeek vocabularies. ADK_TOKENIZER forces one
+ *     (o200k_base | cl100k_base | heuristic).
+ *   - Serving-model endpoint: ADK_TOKENIZER_URL points at a llama.cpp /tokenize or Ollama-style /api/tokenize
+ *     endpoint; counts come from the model's own vocabulary. Results are cached, and the bundled BPE takes
+ *     over for a minute whenever the endpoint fails.
+ */
+import crypto from 'crypto';
+import { getRequestContext } from './request-context.mjs';
+import { createLogger } from './logger.mjs';
+import { getCredentialStore } from './provider-credentials.mjs';
+
+const log = createLogger('token-counter');
+
+/** Role markers and separators a chat template adds per turn. */
+const MESSAGE_OVERHEAD_TOKENS = 4;
+/** Images and other binary attachments; matches a high-detail image tile budget. */
+const ATTACHMENT_TOKENS = 765;
+const REMOTE_CACHE_SIZE = 2000;
+const REMOTE_RETRY_MS = 60000;
+/** Stored events never change, so their counts are kept across requests (trimming recounts the whole history on each getSession). */
+const EVENT_CACHE_SIZE = 20000;
+
+const O200K_MODELS = /(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|chatgpt|gpt-oss|(^|\/)o\d)/i;
+const TEXT_MIME = /^(text\/|application\/(json|xml|javascript|x-yaml|yaml))/i;
+
+/** encoding name → Promise<(text) => number> */
+const encoders = new Map();
+/** Shared across counters: a failing endpoint is skipped by every request, and the cache is reused. */
+const remoteState = { cache: new Map(), disabledUntil: 0 };
+/** `${tokenizer}\0${event id}\0${timestamp}` → tokens, oldest first (LRU). */
+const eventCache = new Map();
+
+function heuristicCount(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function loadEncoder(encoding) {
+  if (encoding === 'heuristic') return Promise.resolve(heuristicCount);
+  if (!encoders.has(encoding)) {
+    const loaded = import(`gpt-tokenizer/encoding/${encoding}`)
+      .then((mod) => {
+        // Chat text may quote special tokens ("<|endoftext|>"); count them as plain text instead of throwing
+        const options = { disallowedSpecial: new Set() };
+        return (text) => mod.countTokens(text, options);
+      })
+      .catch((err) => {
+        log.warn('Encoding unavailable, using length / 4', { encoding, err: err.message });
+        return heuristicCount;
+      });
+    encoders.set(encoding, loaded);
+  }
+  return encoders.get(encoding);
+}
+
+/**
+ * Bundled BPE encoding for a model name.
+ */
+export function encodingForModel(model) {
+  const forced = process.env.ADK_TOKENIZER;
+  if (forced === 'o200k_base' || forced === 'cl100k_base' || forced === 'heuristic') return forced;
+  return O200K_MODELS.test(model || '') ? 'o200k_base' : 'cl100k_base';
+}
+
+function decodeInlineText(data) {
+  try {
+    return Buffer.from(data, 'base64').toString('utf8');
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * Split a content part into countable text plus a fixed token cost (attachments).
+ */
+function partCost(p) {
+  if (!p) return { text: '', fixed: 0 };
+  if (typeof p.text === 'string') return { text: p.text, fixed: 0 };
+  if (p.functionCall) return { text: `${p.functionCall.name ?? ''}(${JSON.stringify(p.functionCall.args ?? {})})`, fixed: 0 };
+  if (p.functionResponse) {
+    const response = p.functionResponse.response;
+    return { text: `${p.functionResponse.name ?? ''}: ${typeof response === 'string' ? response : JSON.stringify(response ?? {})}`, fixed: 0 };
+  }
+  if (p.executableCode) return { text: p.executableCode.code ?? '', fixed: 0 };
+  if (p.codeExecutionResult) return { text: p.codeExecutionResult.output ?? '', fixed: 0 };
+  if (p.inlineData) {
+    if (TEXT_MIME.test(p.inlineData.mimeType || '')) return { text: decodeInlineText(p.inlineData.data || ''), fixed: 0 };
+    return { text: '', fixed: ATTACHMENT_TOKENS };
+  }
+  if (p.fileData) return { text: '', fixed: ATTACHMENT_TOKENS };
+  // Context-strategies message parts ({ type, value })
+  if (p.value !== undefined) return { text: Array.isArray(p.value) ? p.value.join('\n') : typeof p.value === 'string' ? p.value : JSON.stringify(p.value), fixed: 0 };
+  return { text: '', fixed: 0 };
+}
+
+/** Token count from a tokenize response: { tokens: [...] } (llama.cpp / Ollama), { count } or { n_tokens }. */
+function remoteCount(body) {
+  if (Array.isArray(body?.tokens)) return body.tokens.length;
+  if (typeof body?.count === 'number') return body.count;
+  if (typeof body?.n_tokens === 'number') return body.n_tokens;
+  return null;
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {string} [opts.model] - Model whose vocabulary to approximate (default: request modelOverride, then OPENAI_COMPATIBLE_MODEL)
+ * @param {string} [opts.endpoint] - Tokenize endpoint (default: ADK_TOKENIZER_URL); empty to use only the bundled BPE
+ */
+export function createTokenCounter(opts = {}) {
+  const model = opts.model ?? getRequestContext()?.modelOverride?.model ?? process.env.OPENAI_COMPATIBLE_MODEL ?? '';
+  const endpoint = opts.endpoint ?? process.env.ADK_TOKENIZER_URL ?? '';
+  const encoding = encodingForModel(model);
+  const encoder = loadEncoder(encoding);
+
+  async function countText(text) {
+    if (!text) return 0;
+    const bpe = await encoder;
+    if (!endpoint || remoteState.disabledUntil > Date.now()) return bpe(text);
+
+    const key = crypto.createHash('sha1').update(`${model}\u0000${text}`).digest('base64');
+    if (remoteState.cache.has(key)) return remoteState.cache.get(key);
+    try {
+      const resp = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...getCredentialStore().headersFor(endpoint) },
+        // llama.cpp reads `content`, Ollama-style endpoints read `text`
+        body: JSON.stringify({ model, content: text, text }),
+        signal: AbortSignal.timeout(5000),
+      });
+      if (!resp.ok) throw new Error(`status ${resp.status}`);
+      const count = remoteCount(await resp.json());
+      if (count === null) throw new Error('response has no tokens/count');
+      if (remoteState.cache.size >= REMOTE_CACHE_SIZE) remoteState.cache.delete(remoteState.cache.keys().next().value);
+      remoteState.cache.set(key, count);
+      return count;
+    } catch (err) {
+      log.warn('Tokenizer endpoint failed; using local encoding', { endpoint, encoding, retryInMs: REMOTE_RETRY_MS, err: err.message });
+      remoteState.disabledUntil = Date.now() + REMOTE_RETRY_MS;
+      return bpe(text);
+    }
+  }
+
+  async function countParts(parts) {
+    let total = 0;
+    for (const p of parts || []) {
+      const { text, fixed } = partCost(p);
+      total += fixed + (await countText(text));
+    }
+    return total;
+  }
+
+  // Counts differ per tokenizer, and per model when the endpoint serves the model's own vocabulary
+  const tokenizerKey = endpoint ? `${endpoint}\u0000${model}` : encoding;
+
+  /**
+   * @param {Object} event
+   * @param {Object} [opts]
+   * @param {boolean} [opts.cache=true] - Off for edited copies that keep the stored event's id (e.g. stubbed tool results)
+   */
+  async function countEvent(event, { cache = true } = {}) {
+    const parts = event?.content?.parts;
+    if (!parts?.length) return 0;
+    const key = cache && event.id ? `${tokenizerKey}\u0000${event.id}\u0000${event.timestamp ?? ''}` : null;
+    if (key && eventCache.has(key)) {
+      const tokens = eventCache.get(key);
+      eventCache.delete(key);
+      eventCache.set(key, tokens);
+      return tokens;
+    }
+    const tokens = MESSAGE_OVERHEAD_TOKENS + (await countParts(parts));
+    // Endpoint failures fall back to the local encoding; don't pin those approximations in the cache
+    if (key && !(endpoint && remoteState.disabledUntil > Date.now())) {
+      if (eventCache.size >= EVENT_CACHE_SIZE) eventCache.delete(eventCache.keys().next().value);
+      eventCache.set(key, tokens);
+    }
+    return tokens;
+  }
+
+  return {
+    model,
+    encoding,
+    countText,
+    countParts,
+
+    /** Tokens one session event adds to the prompt (0 for events without content); cached by event id and timestamp. */
+    countEvent,
+
+    /** Per-event token counts, index-aligned with events. */
+    async countEvents(events) {
+      const counts = [];
+      for (const ev of events || []) counts.push(await countEvent(ev));
+      return counts;
+    },
+
+    /** Tokens of a context-strategies message ({ role, content: [{ type, value }] }). */
+    async countMessage(msg) {
+      return MESSAGE_OVERHEAD_TOKENS + (await countParts(msg?.content));
+    },
+  };
+}
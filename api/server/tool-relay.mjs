@@ -0,0 +1,319 @@
+/**
+ * Reverse tool-executor channel — lets a hosted server reach the extension's local tool executor.
+ * The extension holds a long-lived SSE connection (GET /tool-relay/connect) bound to its user + session;
+ * tool calls are pushed down as { relayCall: { id, body } } frames and answered with
+ * POST /tool-relay/:channelId/results/:callId. The agent reaches the channel over HTTP at
+ * <server>/tool-relay/:channelId/run, which mirrors the local executor's POST /run: /run_sse points the run's
+ * tool executor URL (process.env.ADK_TOOL_EXECUTOR_URL for agents) there, so agents need no changes.
+ *
+ * Channel records and calls go through a relay bus, so the connect stream, /run and /results may each land on
+ * a different server instance: the in-process bus serves one long-running server, the redis bus (pub/sub plus
+ * short-lived keys) serves serverless deployments. A dropped connect stream can reconnect with ?channelId=
+ * within ADK_TOOL_RELAY_RECONNECT_MS and keep its channel; calls made meanwhile wait for it.
+ */
+import crypto from 'crypto';
+
+const DEFAULT_TIMEOUT_MS = 120000;
+const DEFAULT_HEARTBEAT_MS = 15000;
+const DEFAULT_RECONNECT_MS = 10000;
+/** How often a call retries while its channel has no connected stream (client reconnecting). */
+const REDELIVER_MS = 250;
+
+/**
+ * In-process relay bus — topics and expiring keys in maps. Only sees channels connected to this process.
+ */
+export function createMemoryRelayBus() {
+  /** topic → Set<handler> */
+  const topics = new Map();
+  /** key → { value, expiresAt } */
+  const keys = new Map();
+
+  return {
+    kind: 'memory',
+    async publish(topic, message) {
+      const handlers = [...(topics.get(topic) ?? [])];
+      // Delivered after publish() resolves, like a remote bus
+      for (const handler of handlers) queueMicrotask(() => handler(message));
+      return handlers.length;
+    },
+    async subscribe(topic, handler) {
+      if (!topics.has(topic)) topics.set(topic, new Set());
+      topics.get(topic).add(handler);
+      return async () => {
+        topics.get(topic)?.delete(handler);
+        if (!topics.get(topic)?.size) topics.delete(topic);
+      };
+    },
+    async set(key, value, ttlMs) {
+      keys.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async get(key) {
+      const entry = keys.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        keys.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async del(key) {
+      keys.delete(key);
+    },
+    async close() {},
+  };
+}
+
+/**
+ * Redis relay bus — pub/sub for calls and results, keys with a TTL for channel records. Uses two connections
+ * (a subscribed ioredis connection can't run other commands).
+ * @param {string} [url] - Connection URL (default: ADK_REDIS_URL or REDIS_URL)
+ * @param {Object} [opts]
+ * @param {string} [opts.prefix='adk'] - Key and channel prefix (ADK_REDIS_PREFIX)
+ * @param {() => Object} [opts.createClient] - ioredis-compatible client factory to use instead of url
+ */
+export function createRedisRelayBus(url = process.env.ADK_REDIS_URL || process.env.REDIS_URL, opts = {}) {
+  if (!url && !opts.createClient) throw new Error('Redis tool relay requires ADK_REDIS_URL (or REDIS_URL)');
+  const prefix = `${opts.prefix ?? process.env.ADK_REDIS_PREFIX ?? 'adk'}:relay:`;
+  /** topic → Set<handler> */
+  const topics = new Map();
+  let clientsPromise = null;
+
+  function getClients() {
+    clientsPromise =
+      clientsPromise ??
+      (async () => {
+        let createClient = opts.createClient;
+        if (!createClient) {
+          const { default: Redis } = await import('ioredis');
+          createClient = () => new Redis(url, { lazyConnect: false, maxRetriesPerRequest: 2 });
+        }
+        const client = createClient();
+        const subscriber = createClient();
+        subscriber.on('message', (channel, message) => {
+          for (const handler of topics.get(channel.slice(prefix.length)) ?? []) handler(message);
+        });
+        return { client, subscriber };
+      })();
+    return clientsPromise;
+  }
+
+  return {
+    kind: 'redis',
+    async publish(topic, message) {
+      const { client } = await getClients();
+      return client.publish(prefix + topic, message);
+    },
+    async subscribe(topic, handler) {
+      const { subscriber } = await getClients();
+      if (!topics.has(topic)) {
+        topics.set(topic, new Set());
+        await subscriber.subscribe(prefix + topic);
+      }
+      topics.get(topic).add(handler);
+      return async () => {
+        const handlers = topics.get(topic);
+        handlers?.delete(handler);
+        if (handlers && !handlers.size) {
+          topics.delete(topic);
+          await subscriber.unsubscribe(prefix + topic);
+        }
+      };
+    },
+    async set(key, value, ttlMs) {
+      const { client } = await getClients();
+      await client.set(prefix + key, value, 'PX', Math.max(1, Math.round(ttlMs)));
+    },
+    async get(key) {
+      const { client } = await getClients();
+      return client.get(prefix + key);
+    },
+    async del(key) {
+      const { client } = await getClients();
+      await client.del(prefix + key);
+    },
+    async close() {
+      if (!clientsPromise) return;
+      const { client, subscriber } = await clientsPromise;
+      client.disconnect();
+      subscriber.disconnect();
+    },
+  };
+}
+
+/**
+ * Pick a relay bus from ADK_TOOL_RELAY_BUS (memory | redis). Defaults to redis when sessions are in Redis.
+ */
+export function createRelayBusFromEnv(env = process.env) {
+  const kind = (env.ADK_TOOL_RELAY_BUS || (env.ADK_SESSION_STORE?.toLowerCase() === 'redis' ? 'redis' : 'memory')).toLowerCase();
+  switch (kind) {
+    case 'memory':
+      return createMemoryRelayBus();
+    case 'redis':
+      return createRedisRelayBus(env.ADK_REDIS_URL || env.REDIS_URL);
+    default:
+      throw new Error(`Unknown ADK_TOOL_RELAY_BUS: ${kind} (expected memory or redis)`);
+  }
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {Object} [opts.bus] - Relay bus (default: createRelayBusFromEnv())
+ * @param {number} [opts.timeoutMs] - Fail a relayed call after N ms without a result (ADK_TOOL_RELAY_TIMEOUT_MS)
+ * @param {number} [opts.heartbeatMs=15000] - SSE comment interval that keeps proxies from closing the channel
+ * @param {number} [opts.reconnectMs] - How long a dropped channel stays claimable (ADK_TOOL_RELAY_RECONNECT_MS)
+ * @param {number} [opts.maxConnectionMs] - End connect streams after N ms with a reconnect frame, before the host
+ *   cuts them (ADK_TOOL_RELAY_MAX_CONNECTION_MS; 0 = never)
+ */
+export function createToolRelay(opts = {}) {
+  const bus = opts.bus ?? createRelayBusFromEnv();
+  const timeoutMs = opts.timeoutMs ?? (parseInt(process.env.ADK_TOOL_RELAY_TIMEOUT_MS || '', 10) || DEFAULT_TIMEOUT_MS);
+  const heartbeatMs = opts.heartbeatMs ?? DEFAULT_HEARTBEAT_MS;
+  const reconnectMs = opts.reconnectMs ?? (parseInt(process.env.ADK_TOOL_RELAY_RECONNECT_MS || '', 10) || DEFAULT_RECONNECT_MS);
+  const maxConnectionMs = opts.maxConnectionMs ?? (parseInt(process.env.ADK_TOOL_RELAY_MAX_CONNECTION_MS || '0', 10) || 0);
+  /** Connected channels stay in the bus while their heartbeat keeps refreshing them. */
+  const liveTtlMs = heartbeatMs * 3;
+  /** channelId → { id, userId, sessionId, stream, res, heartbeat, maxTimer, unsubscribe } (streams held by this process) */
+  const connections = new Map();
+
+  const channelKey = (channelId) => `channel:${channelId}`;
+  const sessionKey = (userId, sessionId) => `session:${userId}\u0000${sessionId}`;
+  const callsTopic = (channelId) => `calls:${channelId}`;
+  const resultTopic = (callId) => `result:${callId}`;
+
+  async function channelRecord(channelId) {
+    const raw = typeof channelId === 'string' && channelId ? await bus.get(channelKey(channelId)) : null;
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async function register(conn, ttlMs) {
+    await bus.set(channelKey(conn.id), JSON.stringify({ userId: conn.userId, sessionId: conn.sessionId, stream: conn.stream }), ttlMs);
+    await bus.set(sessionKey(conn.userId, conn.sessionId), conn.id, ttlMs);
+  }
+
+  /** End a stream held here. The channel stays claimable for reconnectMs unless it was replaced. */
+  async function closeConnection(conn, { replaced = false } = {}) {
+    if (connections.get(conn.id) !== conn) return;
+    connections.delete(conn.id);
+    clearInterval(conn.heartbeat);
+    clearTimeout(conn.maxTimer);
+    if (!conn.res.writableEnded) conn.res.end();
+    await conn.unsubscribe();
+    if (replaced) return;
+    // Unless a reconnect elsewhere already took the channel over
+    if ((await channelRecord(conn.id))?.stream === conn.stream) await register(conn, reconnectMs);
+  }
+
+  return {
+    /**
+     * Attach an SSE response as the channel for (userId, sessionId). Replaces any previous channel of that
+     * session, on whichever instance holds it. With channelId (a reconnect) the same channel is kept when it
+     * belongs to this user and session and hasn't expired.
+     * @returns {Promise<string>} Channel id
+     */
+    async connect(res, { userId, sessionId, channelId }) {
+      const existing = await channelRecord(channelId);
+      const resume = existing && existing.userId === userId && existing.sessionId === sessionId;
+      const id = resume ? channelId : crypto.randomBytes(18).toString('base64url');
+
+      const previousId = await bus.get(sessionKey(userId, sessionId));
+      if (previousId && previousId !== id) await bus.publish(callsTopic(previousId), JSON.stringify({ close: 'Tool relay channel replaced by a new connection' }));
+      // Same channel still streaming (here or elsewhere): the new stream takes over
+      if (connections.has(id)) await closeConnection(connections.get(id), { replaced: true });
+      else if (resume) await bus.publish(callsTopic(id), JSON.stringify({ close: 'Tool relay channel resumed by a new connection' }));
+
+      const conn = { id, userId, sessionId, stream: crypto.randomUUID(), res, heartbeat: null, maxTimer: null, unsubscribe: null };
+      conn.unsubscribe = await bus.subscribe(callsTopic(id), (message) => {
+        if (connections.get(id) !== conn) return;
+        const msg = JSON.parse(message);
+        if (msg.close) closeConnection(conn, { replaced: true }).catch(() => {});
+        else res.write(`data: ${JSON.stringify({ relayCall: msg.relayCall })}\n\n`);
+      });
+      connections.set(id, conn);
+      await register(conn, liveTtlMs);
+
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Connection', 'keep-alive');
+      res.flushHeaders();
+      res.write(`data: ${JSON.stringify({ relay: { channelId: id, sessionId } })}\n\n`);
+      conn.heartbeat = setInterval(() => {
+        res.write(': ping\n\n');
+        register(conn, liveTtlMs).catch(() => {});
+      }, heartbeatMs);
+      if (maxConnectionMs > 0) {
+        conn.maxTimer = setTimeout(() => {
+          res.write(`data: ${JSON.stringify({ relay: { channelId: id, sessionId, reconnect: true } })}\n\n`);
+          closeConnection(conn).catch(() => {});
+        }, maxConnectionMs);
+      }
+      res.on('close', () => closeConnection(conn).catch(() => {}));
+      return id;
+    },
+
+    /** Channel id for (userId, sessionId), or null. */
+    async find(userId, sessionId) {
+      const channelId = await bus.get(sessionKey(userId, sessionId));
+      return channelId && (await channelRecord(channelId)) ? channelId : null;
+    },
+
+    async has(channelId) {
+      return Boolean(await channelRecord(channelId));
+    },
+
+    /**
+     * Relay a tool-executor request body to the client; resolves with the client's result.
+     * While the channel is reconnecting, the call is redelivered until a stream picks it up.
+     * @param {Object} [trace] - traceparent/tracestate for the client to forward to its executor
+     */
+    async call(channelId, body, trace) {
+      if (!(await channelRecord(channelId))) throw new Error('Tool relay channel not connected');
+      const id = crypto.randomUUID();
+      let settle;
+      const result = new Promise((resolve, reject) => {
+        settle = { resolve, reject };
+      });
+      const unsubscribe = await bus.subscribe(resultTopic(id), (message) => {
+        const payload = JSON.parse(message);
+        if (payload?.error) settle.reject(new Error(String(payload.error)));
+        else settle.resolve(payload?.result ?? null);
+      });
+      const timer = setTimeout(() => settle.reject(new Error(`Tool relay call timed out after ${timeoutMs}ms`)), timeoutMs);
+      let redeliver = null;
+      try {
+        const frame = { id, body, ...(trace?.traceparent ? { trace } : {}) };
+        const message = JSON.stringify({ relayCall: frame });
+        const deliver = async () => {
+          if ((await bus.publish(callsTopic(channelId), message)) > 0) return;
+          if (!(await channelRecord(channelId))) {
+            settle.reject(new Error('Tool relay channel not connected'));
+            return;
+          }
+          redeliver = setTimeout(() => deliver().catch(settle.reject), REDELIVER_MS);
+        };
+        await deliver();
+        return await result;
+      } finally {
+        clearTimeout(timer);
+        clearTimeout(redeliver);
+        await unsubscribe();
+      }
+    },
+
+    /**
+     * Deliver the client's answer to a relayed call. Resolves false for unknown channels/calls,
+     * or when userId is given and doesn't own the channel.
+     * @param {{ result?: unknown; error?: string }} payload
+     */
+    async resolve(channelId, callId, payload, userId) {
+      const channel = await channelRecord(channelId);
+      if (!channel || (userId !== undefined && channel.userId !== userId)) return false;
+      return (await bus.publish(resultTopic(callId), JSON.stringify(payload ?? {}))) > 0;
+    },
+
+    /** End this process's streams and release the bus. */
+    async close() {
+      await Promise.all([...connections.values()].map((conn) => closeConnection(conn, { replaced: true })));
+      await bus.close();
+    },
+  };
+}
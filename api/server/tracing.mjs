@@ -0,0 +1,148 @@
+/**
+ * Optional OpenTelemetry tracing. Off unless ADK_OTEL_ENABLED=1 or an OTLP endpoint is configured
+ * (OTEL_EXPORTER_OTLP_ENDPOINT / OTEL_EXPORTER_OTLP_TRACES_ENDPOINT); OTEL_SDK_DISABLED=true wins.
+ * While off, nothing from @opentelemetry is loaded and withSpan() just calls its function.
+ *
+ * Once a provider is registered, ADK's own spans (invocation, invoke_agent, call_llm, execute_tool) are
+ * recorded alongside ours: run_sse, trim_history, compaction, summarize, chat_stream and tool_executor.
+ * Tool executor requests made by agents carry W3C traceparent/tracestate headers; relayed calls carry them
+ * on the relayCall frame.
+ */
+import { getRequestContext } from './request-context.mjs';
+import { createLogger } from './logger.mjs';
+
+const log = createLogger('tracing');
+
+/** Set by initTracing() when tracing is on. */
+let otel = null;
+let tracer = null;
+let provider = null;
+
+/** Whether tracing should be on, from the standard OTEL_* variables plus ADK_OTEL_ENABLED. */
+export function tracingEnabledFromEnv() {
+  if (process.env.OTEL_SDK_DISABLED === 'true') return false;
+  return (
+    process.env.ADK_OTEL_ENABLED === '1' ||
+    Boolean(process.env.OTEL_EXPORTER_OTLP_ENDPOINT || process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT)
+  );
+}
+
+export function isTracingEnabled() {
+  return tracer !== null;
+}
+
+/**
+ * Register a tracer provider exporting over OTLP/HTTP. Safe to call more than once; only the first call counts.
+ * @param {Object} [opts]
+ * @param {Object} [opts.exporter] - SpanExporter to use instead of OTLP (e.g. InMemorySpanExporter in tests)
+ * @param {string} [opts.serviceName] - Default: OTEL_SERVICE_NAME, then 'adk-chat-server'
+ * @returns {Promise<boolean>} Whether tracing is on
+ */
+export async function initTracing({ exporter, serviceName = process.env.OTEL_SERVICE_NAME || 'adk-chat-server' } = {}) {
+  if (tracer) return true;
+  try {
+    const api = await import('@opentelemetry/api');
+    const { NodeTracerProvider, BatchSpanProcessor } = await import('@opentelemetry/sdk-trace-node');
+    const { resourceFromAttributes } = await import('@opentelemetry/resources');
+    let spanExporter = exporter;
+    if (!spanExporter) {
+      // Reads OTEL_EXPORTER_OTLP_(TRACES_)ENDPOINT / _HEADERS itself
+      const { OTLPTraceExporter } = await import('@opentelemetry/exporter-trace-otlp-http');
+      spanExporter = new OTLPTraceExporter();
+    }
+    provider = new NodeTracerProvider({
+      resource: resourceFromAttributes({ 'service.name': serviceName }),
+      spanProcessors: [new BatchSpanProcessor(spanExporter)],
+    });
+    // Also installs the AsyncLocalStorage context manager and the W3C trace-context propagator
+    provider.register();
+    otel = api;
+    tracer = api.trace.getTracer('adk-chat-server');
+    instrumentToolExecutorFetch();
+    log.info('Tracing enabled', { serviceName });
+    return true;
+  } catch (err) {
+    log.error('Tracing init failed; continuing without it', { err });
+    return false;
+  }
+}
+
+/**
+ * Export buffered spans now (serverless instances may be frozen before the batch timer fires).
+ */
+export async function flushTracing() {
+  await provider?.forceFlush();
+}
+
+/**
+ * Run fn inside an active span; the span ends when fn settles and records a thrown error.
+ * With tracing off, fn runs as-is and gets null.
+ * @param {string} name
+ * @param {Object} opts
+ * @param {Object} [opts.attributes]
+ * @param {'internal' | 'client' | 'server'} [opts.kind]
+ * @param {Object} [opts.parentHeaders] - Incoming HTTP headers to continue a remote trace from
+ * @param {(span: import('@opentelemetry/api').Span | null) => any} fn
+ */
+export function withSpan(name, { attributes, kind = 'internal', parentHeaders } = {}, fn) {
+  if (!tracer) return fn(null);
+  const { context, propagation, SpanKind, SpanStatusCode } = otel;
+  const parent = parentHeaders ? propagation.extract(context.active(), parentHeaders) : context.active();
+  const spanKind = { internal: SpanKind.INTERNAL, client: SpanKind.CLIENT, server: SpanKind.SERVER }[kind];
+  return tracer.startActiveSpan(name, { kind: spanKind, attributes: cleanAttributes(attributes) }, parent, async (span) => {
+    try {
+      return await fn(span);
+    } catch (err) {
+      span.recordException(err);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: err?.message });
+      throw err;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * traceparent/tracestate for the active span, for outgoing requests ({} with tracing off).
+ */
+export function traceHeaders() {
+  if (!tracer) return {};
+  const carrier = {};
+  otel.propagation.inject(otel.context.active(), carrier);
+  return carrier;
+}
+
+/** OTel attributes must be primitives; drop null/undefined. */
+function cleanAttributes(attributes) {
+  if (!attributes) return undefined;
+  const clean = {};
+  for (const [key, value] of Object.entries(attributes)) {
+    if (value !== undefined && value !== null) clean[key] = value;
+  }
+  return clean;
+}
+
+/**
+ * Agent bundles call the tool executor with plain fetch() and can't import this module, so requests to the
+ * run's executor URL are wrapped in a client span with trace headers added. Other requests pass through.
+ */
+function instrumentToolExecutorFetch() {
+  const baseFetch = globalThis.fetch;
+  if (typeof baseFetch !== 'function' || baseFetch.__adkTraced) return;
+  const tracedFetch = function fetch(input, init) {
+    const executorUrl = getRequestContext()?.toolExecutorUrl;
+    const url = typeof input === 'string' ? input : input instanceof URL ? input.href : input?.url;
+    if (!executorUrl || typeof url !== 'string' || !url.startsWith(executorUrl)) return baseFetch(input, init);
+    const method = init?.method ?? (typeof input === 'object' && input?.method) ?? 'GET';
+    return withSpan('tool_executor', { kind: 'client', attributes: { 'http.request.method': method, 'url.full': url } }, async (span) => {
+      const headers = new Headers(init?.headers ?? (input instanceof Request ? input.headers : undefined));
+      for (const [key, value] of Object.entries(traceHeaders())) headers.set(key, value);
+      const resp = await baseFetch(input, { ...init, headers });
+      span.setAttribute('http.response.status_code', resp.status);
+      if (resp.status >= 500) span.setStatus({ code: otel.SpanStatusCode.ERROR });
+      return resp;
+    });
+  };
+  tracedFetch.__adkTraced = true;
+  globalThis.fetch = tracedFetch;
+}
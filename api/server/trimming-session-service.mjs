@@ -1,11 +1,27 @@
 /**
  * Session service wrapper that trims events by context_rank_messages when over budget.
  * Used when ADK_ENABLE_CONTEXT_STRATEGIES=1.
+ * A functionCall and its functionResponse are kept or dropped together (see event-units.mjs), and
+ * oversized tool results are first shrunk to a stub that names the tool. Pinned events (pins.mjs) and
+ * the compaction summary are always kept.
  */
 import { ensureInitialized, getPriority } from './context-shared.mjs';
+import { groupEventUnits } from './event-units.mjs';
+import { getRequestContext } from './request-context.mjs';
+import { pinnedEventIds } from './pins.mjs';
+import { isSummaryEvent } from './rolling-summary.mjs';
+import { createTokenCounter } from './token-counter.mjs';
+import { createLogger } from './logger.mjs';
+import { withSpan } from './tracing.mjs';
+
+const log = createLogger('trimming');
 
 const ChatMessageRole = { System: 0, User: 1, Assistant: 2 };
 
+/** Tool results above this many tokens are replaced by a stub when history is over budget. */
+const DEFAULT_STUB_TOKENS = 800;
+const STUB_PREVIEW_CHARS = 300;
+
 function extractTextFromParts(parts) {
   if (!Array.isArray(parts)) return '';
   return parts
@@ -14,79 +30,148 @@ function extractTextFromParts(parts) {
       if (p.text) return String(p.text);
       if (p.value !== undefined) return String(p.value);
       if (p.inlineData) return '[binary]';
+      // Tool traffic has no text but must stay visible to the ranker
+      if (p.functionCall) return `[tool call: ${p.functionCall.name}]`;
+      if (p.functionResponse) return `[tool result: ${p.functionResponse.name}]`;
       return '';
     })
     .join('');
 }
 
-function eventsToMessagesWithIndices(events) {
-  const messages = [];
-  const eventIndices = [];
-  for (let i = 0; i < (events || []).length; i++) {
-    const ev = events[i];
-    const text = extractTextFromParts(ev?.content?.parts);
-    if (!text.trim()) continue;
-    const author = (ev.author || '').toLowerCase();
-    let role = ChatMessageRole.User;
-    if (author === 'user' || author === '') role = ChatMessageRole.User;
-    else role = ChatMessageRole.Assistant;
-    messages.push({ role, content: [{ type: 'text', value: text }] });
-    eventIndices.push(i);
-  }
-  return { messages, eventIndices };
+/**
+ * One ranker message per unit (an event, or a tool call together with its responses).
+ */
+function unitsToMessages(events, units) {
+  return units.map((unit) => {
+    const text = unit.map((i) => extractTextFromParts(events[i]?.content?.parts)).join('\n');
+    const author = (events[unit[0]]?.author || '').toLowerCase();
+    const role = author === 'user' || author === '' ? ChatMessageRole.User : ChatMessageRole.Assistant;
+    return { role, content: [{ type: 'text', value: text }] };
+  });
 }
 
-function estimateMessageTokens(msg) {
-  const text = (msg.content || [])
-    .map((p) => (p?.type === 'text' || p?.type === 'thinking' ? (Array.isArray(p.value) ? p.value.join('\n') : String(p.value ?? '')) : ''))
-    .join('\n');
-  return Math.ceil(text.length / 4);
+function unitTokens(unit, eventTokens) {
+  return unit.reduce((sum, i) => sum + eventTokens[i], 0);
+}
+
+function stubResponse(response, tokens) {
+  const raw = typeof response.response === 'string' ? response.response : JSON.stringify(response.response ?? {});
+  return {
+    functionResponse: {
+      ...response,
+      response: {
+        trimmed: true,
+        preview: raw.length > STUB_PREVIEW_CHARS ? `${raw.slice(0, STUB_PREVIEW_CHARS)}…` : raw,
+        note: `The full ${response.name} result (~${tokens} tokens) was removed to fit the context window. Call ${response.name} again if you need it.`,
+      },
+    },
+  };
+}
+
+/**
+ * Replace tool results larger than stubTokens with a stub, in events before protectFrom.
+ * Returns copies (stored events are untouched) with recounted tokens, or null if nothing changed.
+ * The event's (cached) count bounds its parts, so only events over stubTokens with several parts are counted again.
+ */
+async function stubLargeToolResults(events, eventTokens, counter, stubTokens, protectFrom) {
+  let changed = false;
+  const nextEvents = [...events];
+  const nextTokens = [...eventTokens];
+  for (let i = 0; i < protectFrom; i++) {
+    const parts = events[i]?.content?.parts;
+    if (eventTokens[i] <= stubTokens || !parts?.some((p) => p?.functionResponse)) continue;
+    const newParts = [];
+    for (const p of parts) {
+      const tokens = !p?.functionResponse ? 0 : parts.length === 1 ? eventTokens[i] : await counter.countParts([p]);
+      newParts.push(tokens > stubTokens ? stubResponse(p.functionResponse, tokens) : p);
+    }
+    if (newParts.every((p, k) => p === parts[k])) continue;
+    changed = true;
+    nextEvents[i] = { ...events[i], content: { ...events[i].content, parts: newParts } };
+    nextTokens[i] = await counter.countEvent(nextEvents[i], { cache: false });
+  }
+  return changed ? { events: nextEvents, eventTokens: nextTokens } : null;
 }
 
 /**
- * Trim events to fit token budget using context_rank_messages.
- * Returns trimmed events array (subset of original, preserving order by priority).
+ * Trim events to fit token budget using context_rank_messages, ranking whole units.
+ * Returns the indices of the events to keep, ascending.
+ * @param {number[][]} units - Candidate units (from groupEventUnits(events))
+ * @param {number[]} eventTokens - Token count per event (index-aligned with events)
  */
-function trimEventsByRank(events, tokenBudget) {
-  if (!events || events.length === 0) return events;
-  const { messages, eventIndices } = eventsToMessagesWithIndices(events);
-  if (messages.length === 0) return events;
-  if (messages.length <= 3) return events;
+function trimEventsByRank(events, units, tokenBudget, eventTokens) {
+  const all = units.flat().sort((a, b) => a - b);
+  if (units.length <= 3) return all;
 
   const priority = getPriority();
-  if (!priority) return events;
+  if (!priority) return all;
 
-  const ranked = priority.sortByPriority(messages);
-  const selected = priority.selectByTokenBudget(messages, tokenBudget, estimateMessageTokens);
+  const messages = unitsToMessages(events, units);
+  const messageTokens = new Map(messages.map((msg, j) => [msg, unitTokens(units[j], eventTokens)]));
+  const selected = priority.selectByTokenBudget(messages, tokenBudget, (msg) => messageTokens.get(msg) ?? 0);
 
   const indicesToKeep = [];
   for (const msg of selected) {
     const j = messages.indexOf(msg);
-    if (j >= 0) indicesToKeep.push(eventIndices[j]);
+    if (j >= 0) indicesToKeep.push(...units[j]);
   }
-  indicesToKeep.sort((a, b) => a - b);
-  return indicesToKeep.map((i) => events[i]);
+  return indicesToKeep.sort((a, b) => a - b);
 }
 
 /** Reserve tokens for system prompt, tools, attachments, and new message. */
 const DEFAULT_BUFFER = 2200;
 
 /**
- * Simple FIFO truncation: keep most recent events that fit token budget.
- * Fallback when priority-based trimming is unavailable.
+ * Simple FIFO truncation: keep the most recent units that fit token budget.
+ * Fallback when priority-based trimming is unavailable. Returns the indices of the events to keep, ascending.
  */
-function trimEventsFifo(events, tokenBudget) {
-  if (!events || events.length === 0) return events;
+function trimEventsFifo(units, tokenBudget, eventTokens) {
   let total = 0;
-  const result = [];
-  for (let i = events.length - 1; i >= 0; i--) {
-    const ev = events[i];
-    const tokens = Math.ceil((extractTextFromParts(ev?.content?.parts) || '').length / 4);
-    if (total + tokens > tokenBudget && result.length > 0) break;
-    result.unshift(ev);
+  const kept = [];
+  for (let u = units.length - 1; u >= 0; u--) {
+    const tokens = unitTokens(units[u], eventTokens);
+    if (total + tokens > tokenBudget && kept.length > 0) break;
+    kept.push(...units[u]);
     total += tokens;
   }
-  return result;
+  return kept.sort((a, b) => a - b);
+}
+
+/** Events a model request takes as input: the user's message and tool results (a call is answered before the next request). */
+function isModelInput(event) {
+  return event?.author === 'user' || Boolean(event?.content?.parts?.some((p) => p?.functionResponse));
+}
+
+/**
+ * Events the runner appended to the session getSession last handed it: the current attempt's user message, tool calls,
+ * results and answer. Empty if getSession never ran in this request.
+ * @param {Object | null} ctx - Request context
+ */
+export function appendedRunEvents(ctx) {
+  const report = ctx?.contextReport;
+  const session = ctx?.contextSession;
+  return report && session ? session.events.slice(report.events.length) : [];
+}
+
+/**
+ * What the run's last model request saw. getSession records the trimmed history before the runner appends the new
+ * message; the runner then appends the message, tool calls and results to the same session object. The report gets
+ * those appended events up to the last model input (the final answer is output, not context).
+ * @param {Object | null} ctx - Request context after the run
+ * @returns {Promise<Object | null>} Report for GET .../sessions/:sessionId/context, or null if getSession never ran
+ */
+export async function completeContextReport(ctx) {
+  const report = ctx?.contextReport;
+  if (!report) return null;
+  const appended = appendedRunEvents(ctx);
+  while (appended.length && !isModelInput(appended[appended.length - 1])) appended.pop();
+  if (!appended.length) return report;
+  const tokens = await createTokenCounter().countEvents(appended);
+  return {
+    ...report,
+    totalEvents: report.totalEvents + appended.length,
+    events: [...report.events, ...appended.map((ev, i) => ({ id: ev.id, tokens: tokens[i] }))],
+  };
 }
 
 /**
@@ -96,6 +181,60 @@ function trimEventsFifo(events, tokenBudget) {
 export function createTrimmingSessionService(inner, tokenBudget = 4000, bufferTokens = DEFAULT_BUFFER) {
   const defaultBudget = typeof tokenBudget === 'number' ? tokenBudget : 4000;
   const buffer = typeof bufferTokens === 'number' ? bufferTokens : DEFAULT_BUFFER;
+  const stubTokens = parseInt(process.env.ADK_TOOL_RESULT_STUB_TOKENS || String(DEFAULT_STUB_TOKENS), 10) || DEFAULT_STUB_TOKENS;
+
+  /**
+   * Trim a session's events to the request's budget.
+   * Returns { events, tokensById, stubbedIds, budget } — events is session.events itself when nothing changed.
+   */
+  async function trimEvents(session, ctx) {
+    const budget = ctx?.contextLimit ?? defaultBudget;
+    const retryFactor = ctx?.retryTokenBudgetFactor > 0 ? ctx.retryTokenBudgetFactor : 1;
+    const effectiveBudget = Math.max(1000, (budget - buffer) * retryFactor);
+
+    // Every part counts (tool args/results, attachments), using the active model's tokenizer
+    const counter = createTokenCounter();
+    let events = session.events;
+    let eventTokens = await counter.countEvents(events);
+    const total = (tokens) => tokens.reduce((sum, n) => sum + n, 0);
+    const result = (kept, stubbedIds = new Set()) => ({
+      events: kept,
+      tokensById: new Map(events.map((ev, i) => [ev.id, eventTokens[i]])),
+      stubbedIds,
+      budget: effectiveBudget,
+    });
+    if (events.length < 4 || total(eventTokens) <= effectiveBudget) return result(session.events);
+
+    // Shrink old oversized tool results first; the latest unit (the turn in progress) stays whole
+    const units = groupEventUnits(events);
+    const stubbed = await stubLargeToolResults(events, eventTokens, counter, stubTokens, units[units.length - 1][0]);
+    const stubbedIds = new Set();
+    if (stubbed) {
+      stubbed.events.forEach((ev, i) => ev !== events[i] && stubbedIds.add(ev.id));
+      ({ events, eventTokens } = stubbed);
+      if (total(eventTokens) <= effectiveBudget) return result(events, stubbedIds);
+    }
+
+    // The compaction summary and pinned events always stay; the rest competes for what's left of the budget
+    const pinned = pinnedEventIds(session.state);
+    const keptUnits = units.filter((unit) => unit.some((i) => isSummaryEvent(events[i]) || pinned.has(events[i]?.id)));
+    const candidates = units.filter((unit) => !keptUnits.includes(unit));
+    const candidateCount = candidates.reduce((sum, unit) => sum + unit.length, 0);
+    const historyBudget = Math.max(0, effectiveBudget - keptUnits.reduce((sum, unit) => sum + unitTokens(unit, eventTokens), 0));
+    const withKept = (indices) => [...keptUnits.flat(), ...indices].sort((a, b) => a - b).map((i) => events[i]);
+
+    try {
+      await ensureInitialized();
+      const ranked = trimEventsByRank(events, candidates, historyBudget, eventTokens);
+      const kept = ranked.length < candidateCount ? ranked : trimEventsFifo(candidates, historyBudget, eventTokens);
+      if (kept.length >= candidateCount && !stubbed) return result(session.events);
+      return result(withKept(kept), stubbedIds);
+    } catch (err) {
+      log.error('trimEventsByRank failed; using FIFO', { err });
+      const fallback = trimEventsFifo(candidates, historyBudget, eventTokens);
+      return fallback.length < candidateCount || stubbed ? result(withKept(fallback), stubbedIds) : result(session.events);
+    }
+  }
 
   return {
     async createSession(req) {
@@ -104,33 +243,25 @@ export function createTrimmingSessionService(inner, tokenBudget = 4000, bufferTo
     async getSession(req) {
       const session = await inner.getSession(req);
       if (!session || !session.events) return session;
-      if (session.events.length < 4) return session;
-
-      const budget = typeof globalThis.__ADK_REQUEST_CONTEXT_LIMIT === 'number' && globalThis.__ADK_REQUEST_CONTEXT_LIMIT > 0
-        ? globalThis.__ADK_REQUEST_CONTEXT_LIMIT
-        : defaultBudget;
-      const retryFactor = typeof globalThis.__ADK_RETRY_TOKEN_BUDGET_FACTOR === 'number' && globalThis.__ADK_RETRY_TOKEN_BUDGET_FACTOR > 0
-        ? globalThis.__ADK_RETRY_TOKEN_BUDGET_FACTOR
-        : 1;
-      const effectiveBudget = Math.max(1000, (budget - buffer) * retryFactor);
-
-      const estimatedTokens = session.events.reduce((sum, ev) => {
-        const text = extractTextFromParts(ev?.content?.parts);
-        return sum + Math.ceil(text.length / 4);
-      }, 0);
-      if (estimatedTokens <= effectiveBudget) return session;
-
-      try {
-        await ensureInitialized();
-        const trimmed = trimEventsByRank(session.events, effectiveBudget);
-        const finalEvents = trimmed.length < session.events.length ? trimmed : trimEventsFifo(session.events, effectiveBudget);
-        if (finalEvents.length >= session.events.length) return session;
-        return { ...session, events: [...finalEvents] };
-      } catch (err) {
-        console.error('[context] trimEventsByRank failed:', err);
-        const fallback = trimEventsFifo(session.events, effectiveBudget);
-        return fallback.length < session.events.length ? { ...session, events: fallback } : session;
+
+      const ctx = getRequestContext();
+      const { events, tokensById, stubbedIds, budget } = await withSpan('trim_history', { attributes: { 'adk.history_events': session.events.length } }, async (span) => {
+        const trimmed = await trimEvents(session, ctx);
+        span?.setAttributes({ 'adk.sent_events': trimmed.events.length, 'adk.stubbed_events': trimmed.stubbedIds.size, 'adk.token_budget': trimmed.budget });
+        return trimmed;
+      });
+      const trimmed = events === session.events ? session : { ...session, events };
+      // The history part of what the model sees; /run_sse completes it after the run (completeContextReport)
+      if (ctx && !req.config) {
+        ctx.contextReport = {
+          at: Date.now(),
+          budget,
+          totalEvents: session.events.length,
+          events: events.map((ev) => ({ id: ev.id, tokens: tokensById.get(ev.id) ?? null, ...(stubbedIds.has(ev.id) ? { stubbed: true } : {}) })),
+        };
+        ctx.contextSession = trimmed;
       }
+      return trimmed;
     },
     async listSessions(req) {
       return inner.listSessions(req);
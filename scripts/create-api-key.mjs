@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+/**
+ * Mint a signed API key bound to a user id.
+ * Usage: ADK_AUTH_SECRET=... npm run create:api-key -- <userId>
+ */
+import { createApiKey } from '../api/server/auth.mjs';
+
+const userId = process.argv[2];
+const secret = process.env.ADK_AUTH_SECRET;
+
+if (!userId || !secret) {
+  console.error('Usage: ADK_AUTH_SECRET=<secret> npm run create:api-key -- <userId>');
+  process.exit(1);
+}
+
+console.log(createApiKey(userId, secret));
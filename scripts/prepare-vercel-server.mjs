@@ -1,7 +1,8 @@
 #!/usr/bin/env node
 /**
- * Copy server + agents to api/ for Vercel deployment.
- * The server runs as a serverless function.
+ * Copy prebuilt agents to api/ for Vercel deployment.
+ * The server itself lives in api/server (the source of truth, shared with the embedded server) and is not touched.
+ * Every agents/.build/<app>.cjs is copied; /list-apps lists them all.
  */
 import fs from 'fs';
 import path from 'path';
@@ -29,26 +30,32 @@ function copyRecursive(src, dest) {
 
 fs.mkdirSync(apiDir, { recursive: true });
 
-const serverSrc = path.join(extensionDir, 'server');
 const agentsBuild = path.join(extensionDir, 'agents', '.build');
 
-if (!fs.existsSync(serverSrc) || !fs.existsSync(agentsBuild)) {
-  console.error('Error: extension/server and extension/agents/.build must exist.');
+if (!fs.existsSync(agentsBuild)) {
+  console.error('Error: extension/agents/.build must exist.');
   console.error('Run from project root with extension/ as sibling.');
   process.exit(1);
 }
 
-// Copy server files (api/server and api/agents are gitignored — your code stays local)
-const serverDest = path.join(apiDir, 'server');
+// api/agents is gitignored — your agent code stays local
 const agentsDest = path.join(apiDir, 'agents', '.build');
 
-fs.rmSync(serverDest, { recursive: true, force: true });
-copyRecursive(serverSrc, serverDest);
-console.log('Copied server/');
-
 fs.mkdirSync(path.dirname(agentsDest), { recursive: true });
 fs.rmSync(agentsDest, { recursive: true, force: true });
 copyRecursive(agentsBuild, agentsDest);
-console.log('Copied agents/.build/');
+const apps = fs.readdirSync(agentsDest).filter((name) => name.endsWith('.cjs')).map((name) => name.slice(0, -'.cjs'.length));
+console.log(`Copied agents/.build/ (${apps.join(', ') || 'no agents'})`);
+
+// Agents with source but no bundle would be missing from the deployment (Vercel never builds on the fly)
+const agentsSrc = path.join(extensionDir, 'agents');
+const unbuilt = fs
+  .readdirSync(agentsSrc, { withFileTypes: true })
+  .filter((entry) => entry.isDirectory() && fs.existsSync(path.join(agentsSrc, entry.name, 'agent.ts')))
+  .map((entry) => entry.name)
+  .filter((name) => !apps.includes(name));
+if (unbuilt.length) {
+  console.warn(`Warning: no agents/.build bundle for ${unbuilt.join(', ')} — build them in extension/ before deploying.`);
+}
 
-console.log('Vercel server files ready in api/ (api/server and api/agents are gitignored — not committed)');
+console.log('Vercel agents ready in api/agents (gitignored — not committed)');
@@ -0,0 +1,98 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { setTimeout as sleep } from 'timers/promises';
+import { answerText, parseFrames, startApp } from './helpers.mjs';
+
+process.env.ADK_TOKENIZER = 'heuristic';
+
+describe('list-apps', () => {
+  let server;
+  before(async () => {
+    server = await startApp({ pathRewrite: true });
+  });
+  after(() => server.close());
+
+  test('lists the app names', async () => {
+    assert.deepEqual((await server.get('/list-apps')).json, ['routed_agent', 'tool_agent']);
+  });
+
+  test('?detailed=true describes each agent, also through the __path rewrite', async () => {
+    const { status, json } = await server.get('/list-apps?detailed=true');
+    assert.equal(status, 200);
+    assert.deepEqual(
+      json.apps.find((app) => app.name === 'tool_agent'),
+      { name: 'tool_agent', rootAgentName: 'tool_agent', description: '', model: 'scripted', tools: ['lookup'], subAgents: [], source: 'prebuilt' },
+    );
+    assert.deepEqual(json.apps.map((app) => app.name), ['routed_agent', 'tool_agent']);
+    assert.deepEqual((await server.get('/api/index?__path=/list-apps&detailed=true')).json, json);
+  });
+});
+
+describe('hot reload', () => {
+  const agentModule = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'versioned-agent.cjs');
+  let agentsDir;
+  let server;
+
+  /** Write agents/hot_agent/agent.ts; the non-literal require keeps the fixture (and ADK) out of the bundle. */
+  const writeAgent = (body) => fs.writeFile(path.join(agentsDir, 'hot_agent', 'agent.ts'), body);
+  const agentVersion = (version) => writeAgent(`export const rootAgent = require(process.env.ADK_TEST_VERSIONED_AGENT!).createAgent('${version}');\n`);
+
+  async function run() {
+    const { text } = await server.post('/run_sse', { appName: 'hot_agent', userId: 'u', sessionId: 'hot1', newMessage: { role: 'user', parts: [{ text: 'hi' }] } });
+    return parseFrames(text);
+  }
+
+  /** Run until the frames satisfy predicate — the watcher picks changes up after a short delay. */
+  async function runUntil(predicate, timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const frames = await run();
+      if (predicate(frames)) return frames;
+      if (Date.now() > deadline) throw new Error(`Timed out; last frames: ${JSON.stringify(frames)}`);
+      await sleep(200);
+    }
+  }
+
+  before(async () => {
+    process.env.ADK_TEST_VERSIONED_AGENT = agentModule;
+    agentsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'adk-agents-'));
+    await fs.mkdir(path.join(agentsDir, 'hot_agent'));
+    await agentVersion('v1');
+    server = await startApp({ agentsDir, devBuild: true, hotReload: true });
+    await server.post('/apps/hot_agent/users/u/sessions/hot1');
+  });
+  after(async () => {
+    await server.close();
+    await fs.rm(agentsDir, { recursive: true, force: true });
+  });
+
+  test('a source agent is listed and built on first use', async () => {
+    assert.equal(answerText(await run()), 'running v1');
+    const { json } = await server.get('/list-apps?detailed=true');
+    assert.deepEqual(json.apps, [
+      { name: 'hot_agent', rootAgentName: 'hot_agent', description: 'Hot-reload test agent v1', model: 'versioned-v1', tools: [], subAgents: [], source: 'source' },
+    ]);
+  });
+
+  test('a rebuild drops the cached runner, so the next run uses the new agent', async () => {
+    await agentVersion('v2');
+    const frames = await runUntil((f) => answerText(f) !== 'running v1');
+    assert.equal(answerText(frames), 'running v2');
+    assert.equal(frames.at(-1).done.ok, true);
+  });
+
+  test('a failed build is reported as an error frame until the source is fixed', async () => {
+    await writeAgent('export const rootAgent = ;\n');
+    const frames = await runUntil((f) => f.some((frame) => frame.error));
+    assert.match(frames.find((f) => f.error).error, /^Agent hot_agent failed to load: Build failed for hot_agent:\n.*agent\.ts:1:/);
+    assert.equal(frames.at(-1).done.ok, false);
+    assert.equal((await server.get('/healthz')).status, 503);
+
+    await agentVersion('v3');
+    assert.equal(answerText(await runUntil((f) => !f.some((frame) => frame.error))), 'running v3');
+  });
+});
@@ -0,0 +1,52 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApiKey } from '../api/server/auth.mjs';
+import { startApp } from './helpers.mjs';
+
+const SECRET = 'test-secret';
+const bearer = (key) => ({ Authorization: `Bearer ${key}` });
+
+let server;
+before(async () => {
+  server = await startApp({ auth: { keys: [{ userId: 'alice', key: 'alice-key' }], secret: SECRET } });
+});
+after(() => server.close());
+
+test('requests without a valid key are rejected', async () => {
+  const missing = await server.request('GET', '/list-apps');
+  assert.equal(missing.status, 401);
+  assert.equal(missing.json.error, 'Missing or invalid API key');
+  assert.equal((await server.request('GET', '/list-apps', undefined, bearer('wrong'))).status, 401);
+  // A signed key for bob with alice's signature
+  const [, , aliceSignature] = createApiKey('alice', SECRET).split('.');
+  const forged = `adk.${Buffer.from('bob').toString('base64url')}.${aliceSignature}`;
+  assert.equal((await server.request('GET', '/list-apps', undefined, bearer(forged))).status, 401);
+  assert.equal((await server.request('GET', '/list-apps', undefined, { 'X-API-Key': createApiKey('bob', 'other-secret') })).status, 401);
+
+  assert.equal((await server.request('GET', '/list-apps', undefined, bearer('alice-key'))).status, 200);
+  assert.equal((await server.request('GET', '/list-apps', undefined, { 'X-API-Key': createApiKey('bob', SECRET) })).status, 200);
+});
+
+test('health checks and relayed tool calls need no key', async () => {
+  assert.equal((await server.get('/healthz')).status, 200);
+  // Past auth: the channel simply isn't connected
+  const relay = await server.post('/tool-relay/unknown-channel/run', { tool: 'lookup', args: {} });
+  assert.equal(relay.status, 404);
+  assert.equal(relay.json.error, 'Tool relay channel not connected');
+});
+
+test("a key only reaches its own user's sessions, whatever the path says", async () => {
+  const alice = bearer('alice-key');
+  const bob = bearer(createApiKey('bob', SECRET));
+  assert.equal((await server.request('POST', '/apps/tool_agent/users/alice/sessions/private', {}, alice)).status, 200);
+
+  assert.equal((await server.request('GET', '/apps/tool_agent/users/alice/sessions/private', undefined, bob)).status, 404);
+  assert.deepEqual((await server.request('GET', '/apps/tool_agent/users/alice/sessions', undefined, bob)).json.sessions, []);
+  assert.equal((await server.request('DELETE', '/apps/tool_agent/users/alice/sessions/private', undefined, bob)).status, 404);
+  // Creating under alice's path lands in bob's own namespace
+  assert.equal((await server.request('POST', '/apps/tool_agent/users/alice/sessions/mine', {}, bob)).json.userId, 'bob');
+
+  const own = await server.request('GET', '/apps/tool_agent/users/anyone/sessions/private', undefined, alice);
+  assert.equal(own.status, 200);
+  assert.equal(own.json.userId, 'alice');
+});
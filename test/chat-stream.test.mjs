@@ -0,0 +1,99 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import http from 'http';
+import { createThinkTagSplitter, eventsToChatMessages } from '../api/server/chat-stream.mjs';
+import { parseFrames, startApp } from './helpers.mjs';
+
+process.env.ADK_TOKENIZER = 'heuristic';
+
+function split(chunks) {
+  const splitter = createThinkTagSplitter();
+  const pieces = [...chunks.flatMap((chunk) => splitter.push(chunk)), ...splitter.flush()];
+  const text = (type) => pieces.filter((p) => p.type === type).map((p) => p.text).join('');
+  return { thinking: text('thinking'), content: text('content') };
+}
+
+test('think tags split across chunks are still recognised', () => {
+  assert.deepEqual(split(['<th', 'ink>weigh ', 'options</thi', 'nk>Use tabs.']), { thinking: 'weigh options', content: 'Use tabs.' });
+  assert.deepEqual(split(['<', 't', 'h', 'i', 'n', 'k', '>x<', '/think>y']), { thinking: 'x', content: 'y' });
+  // Text that only looks like the start of a tag comes out once the stream decides it
+  assert.deepEqual(split(['a <', 'b> c <th']), { thinking: '', content: 'a <b> c <th' });
+});
+
+test('session history becomes chat messages: text turns only, same-role turns merged', () => {
+  const events = [
+    { author: 'user', content: { role: 'user', parts: [{ text: 'first' }] } },
+    { author: 'chat', content: { role: 'model', parts: [{ text: 'hidden', thought: true }, { text: 'reply' }] } },
+    { author: 'agent', content: { role: 'model', parts: [{ functionCall: { name: 'read_file', args: {} } }] } },
+    { author: 'agent', content: { role: 'user', parts: [{ functionResponse: { name: 'read_file', response: {} } }] } },
+    { author: 'agent', content: { role: 'model', parts: [{ text: 'more' }] } },
+    { author: 'user', content: { role: 'user', parts: [{ text: 'second' }] } },
+  ];
+  assert.deepEqual(eventsToChatMessages(events, 'Be brief.'), [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'first' },
+    { role: 'assistant', content: 'reply\n\nmore' },
+    { role: 'user', content: 'second' },
+  ]);
+});
+
+/** OpenAI-compatible chat/completions stand-in: streams one delta per chunk and records each request body. */
+async function startModel(chunks) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (data) => (raw += data));
+    req.on('end', () => {
+      requests.push(JSON.parse(raw));
+      res.setHeader('Content-Type', 'text/event-stream');
+      for (const content of chunks) res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+      res.end('data: [DONE]\n\n');
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return { baseUrl: `http://127.0.0.1:${server.address().port}/v1`, requests, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+let server;
+let model;
+before(async () => {
+  model = await startModel(['<thi', 'nk>plan', '</th', 'ink>Hello', ' there']);
+  server = await startApp();
+});
+after(async () => {
+  await server.close();
+  await model.close();
+});
+
+test('/run_chat_sse streams thinking and answer frames and keeps the session history', async () => {
+  const sessionPath = '/apps/tool_agent/users/u/sessions/chat1';
+  await server.post(sessionPath);
+  const body = (userMessage) => ({ appName: 'tool_agent', userId: 'u', sessionId: 'chat1', baseUrl: model.baseUrl, model: 'thinker', systemPrompt: 'Be brief.', userMessage });
+
+  const frames = parseFrames((await server.post('/run_chat_sse', body('hi'))).text);
+  assert.deepEqual(frames, [
+    { thinking: { text: 'plan', id: 'chat_thinking_1' } },
+    { thinking: { text: '', id: 'chat_thinking_1', metadata: { vscodeReasoningDone: true } } },
+    { content: { parts: [{ text: 'Hello' }] } },
+    { content: { parts: [{ text: ' there' }] } },
+  ]);
+
+  await server.post('/run_chat_sse', body('and again'));
+  assert.equal(model.requests[1].model, 'thinker');
+  assert.equal(model.requests[1].stream, true);
+  assert.deepEqual(model.requests[1].messages, [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'hi' },
+    { role: 'assistant', content: 'Hello there' },
+    { role: 'user', content: 'and again' },
+  ]);
+  const { events } = (await server.get(sessionPath)).json;
+  assert.deepEqual(events.map((ev) => ev.author), ['user', 'chat', 'user', 'chat']);
+});
+
+test('/run_chat_sse answers 404 for an unknown session', async () => {
+  const resp = await server.post('/run_chat_sse', { appName: 'tool_agent', userId: 'u', sessionId: 'missing', baseUrl: model.baseUrl, userMessage: 'hi' });
+  assert.equal(resp.status, 404);
+});
@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { createCompactingSessionService } from '../api/server/compacting-session-service.mjs';
+import { createPersistentSessionService } from '../api/server/persistent-session-service.mjs';
+import { createMemorySessionStore } from '../api/server/session-store.mjs';
+import { PINS_STATE_KEY } from '../api/server/pins.mjs';
+import { SUMMARY_STATE_KEY, isSummaryEvent, mergeSummaries } from '../api/server/rolling-summary.mjs';
+
+// length / 4: deterministic counts without loading a BPE
+process.env.ADK_TOKENIZER = 'heuristic';
+
+const req = { appName: 'app', userId: 'u', sessionId: 's1' };
+const words = (n) => 'word '.repeat(n);
+let nextId = 0;
+
+function user(text) {
+  return { id: `u${++nextId}`, author: 'user', timestamp: nextId, content: { role: 'user', parts: [{ text }] } };
+}
+function answer(text) {
+  return { id: `m${++nextId}`, author: 'agent', timestamp: nextId, content: { role: 'model', parts: [{ text }] } };
+}
+
+/** n question/answer turns of ~250 tokens each. */
+function turns(n) {
+  return Array.from({ length: n }, (_, i) => [user(`question ${i} ${words(100)}`), answer(`answer ${i} ${words(100)}`)]).flat();
+}
+
+/** Summarizer stand-in: records what it was given and returns extracted(call) as the structured summary. */
+function fakeSummarizer(extracted = () => ({ facts: ['a fact'] }), delayMs = 0) {
+  const calls = [];
+  return {
+    calls,
+    async maybeSummarizeEvents(events, { previousSummary } = {}) {
+      calls.push({ ids: events.map((ev) => ev.id), previousSummary });
+      if (delayMs) await sleep(delayMs);
+      return { summary: extracted(calls.length), startTimestamp: events[0].timestamp, endTimestamp: events.at(-1).timestamp };
+    },
+  };
+}
+
+/** Persistent service over a memory store that counts store writes. */
+async function sessionWith(events, state = {}) {
+  const memory = createMemorySessionStore();
+  const writes = { update: 0 };
+  const store = {
+    ...memory,
+    update(key, mutate) {
+      writes.update++;
+      return memory.update(key, mutate);
+    },
+  };
+  const inner = createPersistentSessionService(store);
+  await inner.createSession({ ...req, state });
+  await store.update(req, (record) => ({ ...record, events }));
+  writes.update = 0;
+  return { inner, writes };
+}
+
+const options = (summarizer) => ({ summarizer, defaultContextLimit: 2000, minTokensToCompact: 0 });
+
+test('history under the trigger ratio is left alone', async () => {
+  const events = turns(4);
+  const { inner } = await sessionWith(events);
+  const summarizer = fakeSummarizer();
+  await createCompactingSessionService(inner, options(summarizer)).scheduleCompaction(req);
+  assert.equal(summarizer.calls.length, 0);
+  assert.deepEqual((await inner.getSession(req)).events.map((ev) => ev.id), events.map((ev) => ev.id));
+});
+
+test('over the trigger ratio the oldest turns become one summary event, in a single store write', async () => {
+  const events = turns(10);
+  const { inner, writes } = await sessionWith(events);
+  const summarizer = fakeSummarizer();
+  await createCompactingSessionService(inner, options(summarizer)).scheduleCompaction(req);
+
+  assert.equal(summarizer.calls.length, 1);
+  assert.deepEqual(summarizer.calls[0].ids, events.slice(0, summarizer.calls[0].ids.length).map((ev) => ev.id));
+  const stored = await inner.getSession(req);
+  assert.ok(isSummaryEvent(stored.events[0]));
+  assert.match(stored.events[0].content.parts[0].text, /a fact/);
+  assert.deepEqual(stored.events.slice(1).map((ev) => ev.id), events.slice(summarizer.calls[0].ids.length).map((ev) => ev.id));
+  assert.deepEqual(stored.state[SUMMARY_STATE_KEY].facts, ['a fact']);
+  assert.equal(writes.update, 1);
+});
+
+test('compaction runs in the background and keeps events appended meanwhile', async () => {
+  const { inner } = await sessionWith(turns(10));
+  const summarizer = fakeSummarizer(undefined, 50);
+  const service = createCompactingSessionService(inner, options(summarizer));
+  const pass = service.scheduleCompaction(req);
+  // A second request mid-run joins the running pass instead of starting another
+  assert.equal(service.scheduleCompaction(req), pass);
+
+  const session = await service.getSession(req);
+  assert.equal(session.events.length, 20);
+  const late = user('sent while compacting');
+  await service.appendEvent({ session, event: late });
+  await pass;
+
+  const stored = await inner.getSession(req);
+  assert.ok(isSummaryEvent(stored.events[0]));
+  assert.equal(stored.events.at(-1).id, late.id);
+  assert.equal(summarizer.calls.length, 1);
+});
+
+test('a later compaction merges into the stored summary instead of summarising it again', async () => {
+  const first = turns(10);
+  const { inner } = await sessionWith(first);
+  const summarizer = fakeSummarizer((call) =>
+    call === 1 ? { openTasks: ['write tests', 'fix lint'], files: ['app.mjs'] } : { files: ['App.mjs', 'pins.mjs'], completedTasks: ['write tests'] },
+  );
+  const service = createCompactingSessionService(inner, options(summarizer));
+  await service.scheduleCompaction(req);
+
+  const session = await service.getSession(req);
+  for (const event of turns(6)) await service.appendEvent({ session, event });
+  await service.scheduleCompaction(req);
+
+  assert.equal(summarizer.calls.length, 2);
+  assert.deepEqual(summarizer.calls[1].previousSummary.files, ['app.mjs']);
+  // The old summary event is replaced, never fed to the summarizer
+  assert.ok(summarizer.calls[1].ids.every((id) => !id.startsWith('compaction_')));
+  const stored = await inner.getSession(req);
+  const summary = stored.state[SUMMARY_STATE_KEY];
+  assert.deepEqual(summary.files, ['app.mjs', 'pins.mjs']);
+  assert.deepEqual(summary.openTasks, ['fix lint']);
+  assert.equal(summary.compactions, 2);
+  assert.equal(stored.events.filter(isSummaryEvent).length, 1);
+  assert.match(stored.events[0].content.parts[0].text, /pins\.mjs[\s\S]*fix lint/);
+});
+
+test('pinned events are carried over verbatim, right after the summary', async () => {
+  const events = turns(10);
+  const pinned = events[2];
+  const { inner } = await sessionWith(events, { [PINS_STATE_KEY]: [{ eventId: pinned.id, pinnedAt: 1 }] });
+  const summarizer = fakeSummarizer();
+  await createCompactingSessionService(inner, options(summarizer)).scheduleCompaction(req);
+
+  assert.ok(!summarizer.calls[0].ids.includes(pinned.id));
+  const stored = await inner.getSession(req);
+  assert.ok(isSummaryEvent(stored.events[0]));
+  assert.deepEqual(stored.events[1], pinned);
+  assert.deepEqual(stored.state[PINS_STATE_KEY], [{ eventId: pinned.id, pinnedAt: 1 }]);
+});
+
+test('mergeSummaries unions lists case-insensitively and drops completed tasks', () => {
+  const merged = mergeSummaries(
+    { goals: ['Ship v2'], openTasks: ['Add auth tests', 'Update docs'], compactions: 3 },
+    { goals: ['ship v2', 'Keep the API stable'], completedTasks: ['add auth tests'] },
+  );
+  assert.deepEqual(merged.goals, ['Ship v2', 'Keep the API stable']);
+  assert.deepEqual(merged.openTasks, ['Update docs']);
+  assert.equal(merged.compactions, 4);
+});
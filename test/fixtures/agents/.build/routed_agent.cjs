@@ -0,0 +1,28 @@
+/**
+ * Test agent for model routing: answers with the routed model's name (the request's modelOverride, as the real
+ * agents' adapters read it). Models named bad* fail with a 503 error response; down* throw like an unreachable host
+ * (a plain object, since ADK turns thrown Errors into error responses and rethrows anything else).
+ */
+const { BaseLlm, LlmAgent } = require('@google/adk');
+
+class RoutedLlm extends BaseLlm {
+  constructor() {
+    super({ model: 'routed' });
+  }
+
+  async *generateContentAsync() {
+    const model = globalThis.__ADK_MODEL_OVERRIDE?.model ?? 'default';
+    if (model.startsWith('down')) throw { message: `fetch failed (${model})`, cause: { code: 'ECONNREFUSED' } };
+    if (model.startsWith('bad')) {
+      yield { errorCode: '503', errorMessage: `${model}: status 503 Service Unavailable` };
+      return;
+    }
+    yield { content: { role: 'model', parts: [{ text: `answer from ${model}` }] } };
+  }
+
+  async connect() {
+    throw new Error('Live connections are not supported');
+  }
+}
+
+exports.rootAgent = new LlmAgent({ name: 'routed_agent', model: new RoutedLlm(), instruction: 'Answer.' });
@@ -0,0 +1,48 @@
+/**
+ * Test agent: a scripted model that calls the lookup tool once, then answers with the tool's result.
+ * lookup POSTs to the run's tool executor (ADK_TOOL_EXECUTOR_URL, as the real agents do) when one is set.
+ * Each model request's content count is recorded on globalThis.__toolAgentRequests, and each response reports
+ * 10 prompt and 2 completion tokens of usage.
+ */
+const { BaseLlm, FunctionTool, LlmAgent } = require('@google/adk');
+
+let callCount = 0;
+
+const usageMetadata = { promptTokenCount: 10, candidatesTokenCount: 2, totalTokenCount: 12 };
+
+class ScriptedLlm extends BaseLlm {
+  constructor() {
+    super({ model: 'scripted' });
+  }
+
+  async *generateContentAsync(request) {
+    (globalThis.__toolAgentRequests ??= []).push(request.contents.length);
+    const response = request.contents.at(-1)?.parts?.find((p) => p.functionResponse)?.functionResponse;
+    if (response) {
+      yield { content: { role: 'model', parts: [{ text: `lookup said ${JSON.stringify(response.response)}` }] }, usageMetadata };
+    } else {
+      yield { content: { role: 'model', parts: [{ functionCall: { id: `call-${++callCount}`, name: 'lookup', args: { key: 'answer' } } }] }, usageMetadata };
+    }
+  }
+
+  async connect() {
+    throw new Error('Live connections are not supported');
+  }
+}
+
+const lookup = new FunctionTool({
+  name: 'lookup',
+  description: 'Look up a value',
+  execute: async (args) => {
+    const executorUrl = process.env.ADK_TOOL_EXECUTOR_URL;
+    if (!executorUrl) return { value: 'local' };
+    const resp = await fetch(`${executorUrl}/run`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ tool: 'lookup', args }),
+    });
+    return resp.json();
+  },
+});
+
+exports.rootAgent = new LlmAgent({ name: 'tool_agent', model: new ScriptedLlm(), instruction: 'Use lookup.', tools: [lookup] });
@@ -0,0 +1,23 @@
+/**
+ * Agent factory for the hot-reload tests: createAgent(version) returns an agent whose scripted model answers
+ * "running <version>". The tests write source agents that require this file, so each rebuild can change the version.
+ */
+const { BaseLlm, LlmAgent } = require('@google/adk');
+
+class VersionedLlm extends BaseLlm {
+  constructor(version) {
+    super({ model: `versioned-${version}` });
+    this.version = version;
+  }
+
+  async *generateContentAsync() {
+    yield { content: { role: 'model', parts: [{ text: `running ${this.version}` }] } };
+  }
+
+  async connect() {
+    throw new Error('Live connections are not supported');
+  }
+}
+
+exports.createAgent = (version) =>
+  new LlmAgent({ name: 'hot_agent', description: `Hot-reload test agent ${version}`, model: new VersionedLlm(version), instruction: 'Answer.' });
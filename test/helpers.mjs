@@ -0,0 +1,63 @@
+/**
+ * Shared test helpers: an app on an ephemeral port and SSE frame parsing.
+ */
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createApp } from '../api/server/app.mjs';
+
+export const FIXTURE_AGENTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'agents');
+
+/** JSON payloads of the `data:` lines in an SSE body. */
+export function parseFrames(text) {
+  return text
+    .split('\n')
+    .filter((line) => line.startsWith('data: '))
+    .map((line) => JSON.parse(line.slice(6)));
+}
+
+/**
+ * Start createApp(options) on 127.0.0.1 with the fixture agents.
+ * @returns {Promise<{ base: string; request: Function; post: Function; put: Function; get: Function; close: () => Promise<void> }>}
+ */
+export async function startApp(options = {}) {
+  const app = await createApp({ agentsDir: FIXTURE_AGENTS_DIR, devBuild: false, ...options });
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, urlPath, body, headers = {}) {
+    const resp = await fetch(base + urlPath, {
+      method,
+      headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await resp.text();
+    const type = resp.headers.get('content-type') || '';
+    return { status: resp.status, text, json: type.includes('application/json') && text ? JSON.parse(text) : null };
+  }
+
+  return {
+    base,
+    request,
+    post: (urlPath, body = {}) => request('POST', urlPath, body),
+    put: (urlPath, body = {}) => request('PUT', urlPath, body),
+    get: (urlPath) => request('GET', urlPath),
+    close: async () => {
+      await app.locals.agents.dispose();
+      await new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+      });
+    },
+  };
+}
+
+/** POST /run_sse for the fixture agent with one user text message. */
+export function runSse(server, sessionId, text, extra = {}) {
+  return server.post('/run_sse', { appName: 'tool_agent', userId: 'u', sessionId, newMessage: { role: 'user', parts: [{ text }] }, ...extra });
+}
+
+/** The streamed answer text of a run's frames. */
+export function answerText(frames) {
+  return frames.map((f) => f.content?.parts?.[0]?.text ?? '').join('');
+}
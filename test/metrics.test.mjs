@@ -0,0 +1,34 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFrames, runSse, startApp } from './helpers.mjs';
+
+process.env.ADK_TOKENIZER = 'heuristic';
+
+let server;
+before(async () => {
+  server = await startApp();
+});
+after(() => server.close());
+
+/** Value of one sample line (`name{labels} value`) in a Prometheus scrape, or undefined. */
+function sample(text, series) {
+  const line = text.split('\n').find((l) => l.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+test('/metrics reports the run, its tokens and its tool calls', async () => {
+  await server.post('/apps/tool_agent/users/u/sessions/m1');
+  const frames = parseFrames((await runSse(server, 'm1', 'hello')).text);
+  assert.equal(frames.at(-1).done.ok, true);
+  assert.equal(frames.filter((f) => f.usage).length, 2);
+
+  const { status, text } = await server.get('/metrics');
+  assert.equal(status, 200);
+  assert.equal(sample(text, 'adk_runs_total{outcome="ok"}'), 1);
+  assert.equal(sample(text, 'adk_run_duration_seconds_count{outcome="ok"}'), 1);
+  assert.equal(sample(text, 'adk_tokens_total{kind="prompt"}'), 20);
+  assert.equal(sample(text, 'adk_tokens_total{kind="completion"}'), 4);
+  assert.equal(sample(text, 'adk_tool_calls_total{tool="lookup"}'), 1);
+  assert.equal(sample(text, 'adk_tool_errors_total{tool="lookup"}'), undefined);
+  assert.match(text, /^# TYPE adk_runs_total counter$/m);
+});
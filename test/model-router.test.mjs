@@ -0,0 +1,57 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answerText, parseFrames, startApp } from './helpers.mjs';
+
+process.env.ADK_TOKENIZER = 'heuristic';
+// Read once, when createApp first asks for the router
+process.env.ADK_MODEL_ROUTER = JSON.stringify({
+  primary: { baseUrl: 'http://models.test/v1', model: 'bad-primary' },
+  fallbacks: ['down-fallback', 'good'],
+  commands: { '/fast': 'quick' },
+});
+
+let server;
+before(async () => {
+  server = await startApp();
+});
+after(() => server.close());
+
+const sessionPath = (sessionId) => `/apps/routed_agent/users/u/sessions/${sessionId}`;
+
+function run(sessionId, text, extra = {}) {
+  return server.post('/run_sse', { appName: 'routed_agent', userId: 'u', sessionId, newMessage: { role: 'user', parts: [{ text }] }, ...extra });
+}
+
+function storedHistory(session) {
+  return session.events.map((ev) => `${ev.author}: ${ev.errorMessage ?? ev.content?.parts?.[0]?.text}`);
+}
+
+test('fallbacks retry from the pre-run history, leaving no failed attempts behind', async () => {
+  await server.post(sessionPath('fb1'));
+  const frames = parseFrames((await run('fb1', 'hello')).text);
+  assert.equal(answerText(frames), 'answer from good');
+  assert.equal(frames.some((f) => f.error), false);
+  assert.deepEqual(storedHistory((await server.get(sessionPath('fb1'))).json), ['user: hello', 'routed_agent: answer from good']);
+
+  await run('fb1', 'again');
+  assert.deepEqual(storedHistory((await server.get(sessionPath('fb1'))).json), [
+    'user: hello',
+    'routed_agent: answer from good',
+    'user: again',
+    'routed_agent: answer from good',
+  ]);
+});
+
+test('a command routes to its model, from the prompt or the command field', async () => {
+  await server.post(sessionPath('cmd1'));
+  assert.equal(answerText(parseFrames((await run('cmd1', '/fast hi')).text)), 'answer from quick');
+  assert.equal(answerText(parseFrames((await run('cmd1', '[User message]\nhi', { command: '/fast' })).text)), 'answer from quick');
+});
+
+test('an explicit pin command field pins without running the model', async () => {
+  await server.post(sessionPath('pin1'));
+  const note = parseFrames((await run('pin1', '[User message]\nuse tabs', { command: 'pin' })).text);
+  assert.equal(answerText(note), 'Pinned note: use tabs');
+  const pins = (await server.get(`${sessionPath('pin1')}/pins`)).json.pins;
+  assert.deepEqual(pins.map((p) => p.preview), ['use tabs']);
+});
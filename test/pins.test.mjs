@@ -0,0 +1,34 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answerText, parseFrames, runSse, startApp } from './helpers.mjs';
+
+process.env.ADK_TOKENIZER = 'heuristic';
+
+let server;
+before(async () => {
+  server = await startApp();
+});
+after(() => server.close());
+
+const sessionPath = (sessionId) => `/apps/tool_agent/users/u/sessions/${sessionId}`;
+
+test('the context report lists what the last model request saw', async () => {
+  await server.post(sessionPath('ctx1'));
+  globalThis.__toolAgentRequests = [];
+  await runSse(server, 'ctx1', '[Attached context]\nsome file\n\n[User message]\nfirst question');
+  const report = (await server.get(`${sessionPath('ctx1')}/context`)).json;
+  // user message, tool call, tool result; the final answer came out of that request
+  assert.equal(report.events.length, globalThis.__toolAgentRequests.at(-1));
+  assert.deepEqual(report.events.map((e) => e.author), ['user', 'tool_agent', 'tool_agent']);
+  assert.equal(report.events[0].preview, 'first question');
+  assert.ok(report.events.every((e) => e.tokens > 0));
+});
+
+test("pin commands work inside the client's message wrapper", async () => {
+  await server.post(sessionPath('pin1'));
+  await runSse(server, 'pin1', '[User message]\nthe spec');
+  const pinned = parseFrames((await runSse(server, 'pin1', '[Attached context]\nfile\n\n[User message]\n/pin')).text);
+  assert.equal(answerText(pinned), 'Pinned: the spec');
+  const pins = (await server.get(`${sessionPath('pin1')}/pins`)).json.pins;
+  assert.deepEqual(pins.map((p) => p.preview), ['the spec']);
+});
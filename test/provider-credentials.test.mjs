@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCredentialStore } from '../api/server/provider-credentials.mjs';
+import { createRequestContext, runWithRequestContext } from '../api/server/request-context.mjs';
+
+const providers = [
+  { id: 'openai', baseUrl: 'https://api.openai.com/v1', apiKey: 'sk-openai', organization: 'org-1' },
+  { id: 'azure', baseUrl: 'https://res.openai.azure.com/openai/deployments/gpt-4o', apiKeyEnv: 'AZURE_KEY', auth: 'api-key', query: { 'api-version': '2024-10-21' } },
+  { id: 'gateway', baseUrl: 'https://llm.internal/v1', auth: 'none', headers: { 'X-Team': 'tools' } },
+];
+
+test('keys only go to the configured origin and path', () => {
+  const store = createCredentialStore(providers, { AZURE_KEY: 'az' });
+  assert.deepEqual(store.headersFor('https://api.openai.com/v1/chat/completions'), { Authorization: 'Bearer sk-openai', 'OpenAI-Organization': 'org-1' });
+  for (const url of [
+    'http://api.openai.com/v1/chat/completions', // other scheme
+    'https://api.openai.com.evil.test/v1/chat/completions', // look-alike host
+    'https://api.openai.com:8443/v1/chat/completions', // other port
+    'https://api.openai.com/v10/chat/completions', // path prefix, not a sub-path
+    'https://evil.test/?u=https://api.openai.com/v1',
+    'http://localhost:11434/v1/chat/completions',
+    'not a url',
+  ]) {
+    assert.deepEqual(store.headersFor(url), {}, url);
+    assert.equal(store.providerFor(url), null, url);
+  }
+});
+
+test('api-key auth, custom headers and query parameters', () => {
+  const store = createCredentialStore(providers, { AZURE_KEY: 'az' });
+  const azure = store.prepare('https://res.openai.azure.com/openai/deployments/gpt-4o/chat/completions');
+  assert.equal(azure.url, 'https://res.openai.azure.com/openai/deployments/gpt-4o/chat/completions?api-version=2024-10-21');
+  assert.deepEqual(azure.headers, { 'api-key': 'az' });
+  // Another deployment on the same resource isn't covered
+  assert.deepEqual(store.headersFor('https://res.openai.azure.com/openai/deployments/other/chat/completions'), {});
+  assert.deepEqual(store.headersFor('https://llm.internal/v1/chat/completions'), { 'X-Team': 'tools' });
+});
+
+test('the longest matching provider path wins', () => {
+  const store = createCredentialStore([
+    { id: 'root', baseUrl: 'https://llm.example.com', apiKey: 'root-key' },
+    { id: 'team', baseUrl: 'https://llm.example.com/team/v1', apiKey: 'team-key' },
+  ]);
+  assert.equal(store.providerFor('https://llm.example.com/team/v1/chat/completions'), 'team');
+  assert.equal(store.providerFor('https://llm.example.com/v1/chat/completions'), 'root');
+});
+
+test('OPENAI_API_KEY covers only OPENAI_COMPATIBLE_BASE_URL', () => {
+  const store = createCredentialStore([], { OPENAI_API_KEY: 'sk-default', OPENAI_COMPATIBLE_BASE_URL: 'https://llm.example.com/v1/' });
+  assert.deepEqual(store.headersFor('https://llm.example.com/v1/chat/completions'), { Authorization: 'Bearer sk-default' });
+  assert.deepEqual(store.headersFor('https://attacker.example/v1/chat/completions'), {});
+  assert.deepEqual(store.headersFor('http://localhost:11434/v1/chat/completions'), {});
+});
+
+test('invalid provider config is rejected', () => {
+  assert.throws(() => createCredentialStore([{ id: 'x', baseUrl: 'nope' }]), /valid baseUrl/);
+  assert.throws(() => createCredentialStore([{ id: 'x', baseUrl: 'https://a.test', auth: 'basic' }]), /auth must be/);
+});
+
+test('during a request OPENAI_API_KEY is the key for the model the request is routed to', () => {
+  Object.assign(process.env, {
+    OPENAI_API_KEY: 'sk-default',
+    OPENAI_COMPATIBLE_BASE_URL: 'https://llm.example.com/v1',
+    ADK_PROVIDERS: JSON.stringify([{ id: 'team', baseUrl: 'https://team.example/v1', apiKey: 'team-key' }]),
+  });
+  const inRequest = (modelOverride, fn) => runWithRequestContext(createRequestContext({ modelOverride }), fn);
+  assert.equal(inRequest(null, () => process.env.OPENAI_API_KEY), 'sk-default');
+  assert.equal(inRequest({ baseUrl: 'https://team.example/v1', model: 'm' }, () => process.env.OPENAI_API_KEY), 'team-key');
+  // A host no provider covers (here a client-chosen local Ollama) gets no key at all
+  assert.equal(inRequest({ baseUrl: 'http://localhost:11434/v1', model: 'qwen3' }, () => process.env.OPENAI_API_KEY), undefined);
+  assert.equal(inRequest({ baseUrl: 'http://localhost:11434/v1', model: 'qwen3' }, () => 'OPENAI_API_KEY' in process.env), false);
+  assert.equal(process.env.OPENAI_API_KEY, 'sk-default');
+});
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { setTimeout as sleep } from 'timers/promises';
+import { abortable, createRunRegistry } from '../api/server/run-registry.mjs';
+
+/** Just enough of an SSE response for the registry. */
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.writableEnded = false;
+  res.destroyed = false;
+  res.write = (chunk) => res.chunks.push(chunk);
+  res.end = () => {
+    res.writableEnded = true;
+  };
+  res.frameIds = () => res.chunks.join('').match(/^id: \d+/gm)?.map((line) => Number(line.slice(4))) ?? [];
+  return res;
+}
+
+test('a run is cancelled when its client disconnects', async () => {
+  // The grace period is only for clients that asked for a resumable run
+  const runs = createRunRegistry({ graceMs: 1000, retentionMs: 0 });
+  const run = runs.start({ userId: 'u', sessionId: 's1' });
+  const res = fakeResponse();
+  runs.attach(run, res);
+  res.emit('close');
+  await sleep(5);
+  assert.equal(run.controller.signal.aborted, true);
+  assert.equal(run.controller.signal.reason.message, 'Client disconnected');
+});
+
+test('only the owner can look up or cancel a run', () => {
+  const runs = createRunRegistry({ retentionMs: 0 });
+  const run = runs.start({ userId: 'alice', sessionId: 's1' });
+  assert.equal(runs.get(run.id, 'bob'), null);
+  assert.equal(runs.cancel(run.id, 'nope', 'bob'), false);
+  assert.equal(run.controller.signal.aborted, false);
+  assert.equal(runs.get(run.id, 'alice'), run);
+  assert.equal(runs.cancel(run.id, 'Cancelled by user', 'alice'), true);
+  assert.equal(run.controller.signal.aborted, true);
+  runs.finish(run);
+  assert.equal(runs.cancel(run.id, 'again', 'alice'), false);
+  assert.equal(runs.cancel('missing'), false);
+});
+
+test('abortable stops at the next item and reports when the source settled', async () => {
+  const controller = new AbortController();
+  let returned = false;
+  async function* source() {
+    try {
+      yield 1;
+      await sleep(200);
+      yield 2;
+    } finally {
+      returned = true;
+    }
+  }
+  const items = [];
+  const iterator = abortable(source(), controller.signal);
+  setTimeout(() => controller.abort(), 10);
+  for await (const item of iterator) items.push(item);
+  assert.deepEqual(items, [1]);
+  await iterator.settled;
+  assert.equal(returned, true);
+});
+
+test('a reattached client gets the frames it missed, then the live ones', () => {
+  const runs = createRunRegistry({ graceMs: 1000, retentionMs: 0 });
+  const run = runs.start({ userId: 'u', sessionId: 's1', resumable: true });
+  const first = fakeResponse();
+  runs.attach(run, first);
+  for (let i = 0; i < 3; i++) runs.publish(run, { content: i });
+  first.emit('close');
+
+  runs.publish(run, { content: 3 });
+  const second = fakeResponse();
+  runs.attach(run, second, 2);
+  runs.publish(run, { content: 4 });
+  assert.deepEqual(first.frameIds(), [1, 2, 3]);
+  assert.deepEqual(second.frameIds(), [3, 4, 5]);
+
+  runs.finish(run);
+  assert.equal(second.writableEnded, true);
+  assert.equal(run.controller.signal.aborted, false);
+});
+
+test('a finished run replays its frames and ends the stream', () => {
+  const runs = createRunRegistry({ retentionMs: 0 });
+  const run = runs.start({ userId: 'u', sessionId: 's1' });
+  runs.publish(run, { done: true });
+  runs.finish(run);
+  const res = fakeResponse();
+  runs.attach(run, res);
+  assert.deepEqual(res.frameIds(), [1]);
+  assert.equal(res.writableEnded, true);
+});
+
+test('a resumable run is cancelled once the grace period passes without a client', async () => {
+  const runs = createRunRegistry({ graceMs: 20, retentionMs: 0 });
+  const run = runs.start({ userId: 'u', sessionId: 's1', resumable: true });
+  const res = fakeResponse();
+  runs.attach(run, res);
+  res.emit('close');
+  assert.equal(run.controller.signal.aborted, false);
+  await sleep(50);
+  assert.equal(run.controller.signal.aborted, true);
+  assert.equal(run.controller.signal.reason.message, 'Client disconnected');
+});
+
+test('reattaching within the grace period keeps the run going', async () => {
+  const runs = createRunRegistry({ graceMs: 20, retentionMs: 0 });
+  const run = runs.start({ userId: 'u', sessionId: 's1', resumable: true });
+  const res = fakeResponse();
+  runs.attach(run, res);
+  res.emit('close');
+  runs.attach(run, fakeResponse());
+  await sleep(50);
+  assert.equal(run.controller.signal.aborted, false);
+  runs.finish(run);
+});
+
+test('ADK_RUN_RESUME_GRACE_MS=0 cancels a resumable run as soon as the client leaves', async () => {
+  process.env.ADK_RUN_RESUME_GRACE_MS = '0';
+  try {
+    const runs = createRunRegistry({ retentionMs: 0 });
+    const run = runs.start({ userId: 'u', sessionId: 's1', resumable: true });
+    const res = fakeResponse();
+    runs.attach(run, res);
+    res.emit('close');
+    await sleep(5);
+    assert.equal(run.controller.signal.aborted, true);
+  } finally {
+    delete process.env.ADK_RUN_RESUME_GRACE_MS;
+  }
+});
@@ -0,0 +1,116 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import http from 'http';
+import { setTimeout as sleep } from 'timers/promises';
+import { answerText, parseFrames, runSse, startApp } from './helpers.mjs';
+
+process.env.ADK_TOKENIZER = 'heuristic';
+
+let server;
+before(async () => {
+  server = await startApp({ pathRewrite: true });
+});
+after(() => server.close());
+
+test('a run streams the tool call, its result and the answer', async () => {
+  assert.equal((await server.post('/apps/tool_agent/users/u/sessions/run1')).status, 200);
+  const { status, text } = await runSse(server, 'run1', 'hello');
+  assert.equal(status, 200);
+  const frames = parseFrames(text);
+  assert.ok(frames[0].run.runId);
+  assert.equal(frames.find((f) => f.toolCall)?.toolCall.name, 'lookup');
+  assert.equal(frames.find((f) => f.toolResult)?.toolResult.ok, true);
+  assert.equal(answerText(frames), 'lookup said {"value":"local"}');
+  assert.equal(frames.at(-1).done.ok, true);
+});
+
+test('a finished run replays the frames after ?from=, also through the __path rewrite', async () => {
+  await server.post('/apps/tool_agent/users/u/sessions/replay1');
+  const frames = parseFrames((await runSse(server, 'replay1', 'hello', { resumable: true })).text);
+  const { runId } = frames[0].run;
+  const replayed = parseFrames((await server.get(`/api/index?__path=/runs/${runId}/stream&from=2`)).text);
+  assert.deepEqual(replayed, frames.slice(2));
+  assert.equal((await server.get(`/runs/${runId}/stream?from=-1`)).status, 400);
+});
+
+/** Tool executor that holds each request until the test releases it with that request's result. */
+async function startHeldExecutor() {
+  const held = [];
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () =>
+      held.push((result) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(result));
+      }),
+    );
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    held,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/** POST /run_sse and return once the run frame arrived; text resolves to the whole stream. */
+async function startRun(body) {
+  const resp = await fetch(`${server.base}/run_sse`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const reader = resp.body.pipeThrough(new TextDecoderStream()).getReader();
+  let text = '';
+  while (!text.includes('\n\n')) text += (await reader.read()).value ?? '';
+  const rest = (async () => {
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) text += chunk.value;
+    return text;
+  })();
+  return { runId: parseFrames(text)[0].run.runId, text: rest };
+}
+
+async function until(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await predicate())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await sleep(10);
+  }
+}
+
+test('a cancelled run only answers its own tool calls when the user resends right away', async () => {
+  const executor = await startHeldExecutor();
+  try {
+    await server.post('/apps/tool_agent/users/u/sessions/race1');
+    const body = (text) => ({ appName: 'tool_agent', userId: 'u', sessionId: 'race1', toolExecutorUrl: executor.url, newMessage: { role: 'user', parts: [{ text }] } });
+
+    // Run A waits on its tool call; Stop cancels it
+    const first = await startRun(body('first'));
+    await until(() => executor.held.length === 1);
+    assert.equal((await server.post(`/runs/${first.runId}/cancel`)).status, 200);
+    assert.equal(parseFrames(await first.text).at(-1).done.cancelled, true);
+
+    // Run B starts and calls the tool before A's runner has stopped
+    const second = server.post('/run_sse', body('second'));
+    await until(() => executor.held.length === 2);
+    executor.held[0]({ value: 'A' });
+    const isRecorded = async () => (await server.get('/apps/tool_agent/users/u/sessions/race1')).json.events.some((ev) => ev.customMetadata?.cancelled);
+    await until(isRecorded);
+    executor.held[1]({ value: 'B' });
+    assert.equal(answerText(parseFrames((await second).text)), 'lookup said {"value":"B"}');
+
+    const { events } = (await server.get('/apps/tool_agent/users/u/sessions/race1')).json;
+    const responses = new Map();
+    for (const part of events.flatMap((ev) => ev.content?.parts ?? [])) {
+      if (part.functionResponse) responses.set(part.functionResponse.id, [...(responses.get(part.functionResponse.id) ?? []), part.functionResponse.response]);
+    }
+    const calls = events.flatMap((ev) => ev.content?.parts ?? []).filter((p) => p.functionCall);
+    assert.equal(calls.length, 2);
+    for (const call of calls) assert.equal(responses.get(call.functionCall.id)?.length, 1, call.functionCall.id);
+    assert.deepEqual(responses.get(calls[1].functionCall.id), [{ value: 'B' }]);
+    // The cancel marker follows run A's last event (its late tool result), not run B's answer
+    const marker = events.findIndex((ev) => ev.customMetadata?.cancelled);
+    assert.deepEqual(events[marker - 1].content.parts[0].functionResponse.response, { value: 'A' });
+    assert.equal(events.at(-1).content.parts[0].text, 'lookup said {"value":"B"}');
+  } finally {
+    await executor.close();
+  }
+});
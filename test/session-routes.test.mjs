@@ -0,0 +1,55 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSse, startApp } from './helpers.mjs';
+
+process.env.ADK_TOKENIZER = 'heuristic';
+
+let server;
+before(async () => {
+  server = await startApp({ pathRewrite: true });
+});
+after(() => server.close());
+
+const sessionPath = (sessionId) => `/apps/tool_agent/users/u/sessions/${sessionId}`;
+
+test('sessions can be listed, renamed and deleted', async () => {
+  await server.post(sessionPath('list1'));
+  await runSse(server, 'list1', 'what is the answer');
+  const title = async () => (await server.get('/apps/tool_agent/users/u/sessions')).json.sessions.find((s) => s.id === 'list1')?.title;
+  assert.equal(await title(), 'what is the answer');
+
+  assert.equal((await server.request('PATCH', sessionPath('list1'), { title: 'Renamed' })).json.title, 'Renamed');
+  assert.equal(await title(), 'Renamed');
+  assert.equal((await server.request('DELETE', sessionPath('list1'))).status, 204);
+  assert.equal((await server.get(sessionPath('list1'))).status, 404);
+});
+
+test('fork cuts at a tool unit boundary and drops state about later events', async () => {
+  await server.post(sessionPath('src1'));
+  await runSse(server, 'src1', 'question');
+  const source = (await server.get(sessionPath('src1'))).json;
+  // user, call, result, answer
+  assert.equal(source.events.length, 4);
+  await server.put(`${sessionPath('src1')}/pins/${source.events[3].id}`);
+  await server.put(`${sessionPath('src1')}/pins/${source.events[0].id}`);
+
+  const fork = await server.post(`${sessionPath('src1')}/fork?atEvent=2`, { sessionId: 'fork1' });
+  assert.equal(fork.status, 200);
+  assert.equal(fork.json.forkedAtEvent, 1);
+  assert.deepEqual(fork.json.events.map((e) => e.id), [source.events[0].id]);
+  assert.deepEqual(fork.json.state.pins.map((p) => p.eventId), [source.events[0].id]);
+  assert.equal(fork.json.state.lastContext, undefined);
+  assert.ok(source.state.lastContext);
+
+  assert.equal((await server.post(`${sessionPath('src1')}/fork?atEvent=3`, { sessionId: 'fork2' })).json.forkedAtEvent, 3);
+  assert.equal((await server.post(`${sessionPath('src1')}/fork`, { sessionId: '..' })).status, 400);
+});
+
+test("atEvent survives Vercel's __path rewrite", async () => {
+  await server.post(sessionPath('src2'));
+  await runSse(server, 'src2', 'question');
+  const fork = await server.post(`/api/index?__path=${sessionPath('src2')}/fork&atEvent=1`, { sessionId: 'fork3' });
+  assert.equal(fork.status, 200);
+  assert.equal(fork.json.forkedAtEvent, 1);
+  assert.equal(fork.json.events.length, 1);
+});
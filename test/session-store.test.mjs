@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import RedisMock from 'ioredis-mock';
+import { createFileSessionStore, createRedisSessionStore, isValidSessionKey } from '../api/server/session-store.mjs';
+import { createPersistentSessionService } from '../api/server/persistent-session-service.mjs';
+import { startApp } from './helpers.mjs';
+
+async function tempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), 'adk-sessions-'));
+}
+
+function event(id, text) {
+  return { id, author: 'user', timestamp: Date.now(), content: { role: 'user', parts: [{ text }] } };
+}
+
+test('isValidSessionKey rejects dot segments and empty or oversized keys', () => {
+  for (const bad of ['', '.', '..', 'x'.repeat(257), undefined, 42]) assert.equal(isValidSessionKey(bad), false, String(bad));
+  for (const good of ['user-1', 'a/b', '..a', 'u@example.com']) assert.equal(isValidSessionKey(good), true, good);
+});
+
+test('file store refuses keys that would leave its directory', async () => {
+  const root = await tempDir();
+  const store = createFileSessionStore(path.join(root, 'sessions'));
+  const record = (appName, userId, id) => ({ appName, userId, id, state: {}, events: [] });
+
+  await assert.rejects(store.put(record('app', '..', 's1')), /Invalid userId/);
+  await assert.rejects(store.put(record('..', 'u', 's1')), /Invalid appName/);
+  await assert.rejects(store.put(record('app', 'u', '.')), /Invalid sessionId/);
+  await assert.rejects(store.get({ appName: 'app', userId: '..', sessionId: 's1' }), /Invalid userId/);
+  await assert.rejects(store.list({ appName: 'app', userId: '.' }), /Invalid userId/);
+
+  // Separators are encoded, so "../x" stays one file inside the directory
+  await store.put(record('app', '../u', '../../s1'));
+  assert.deepEqual(await fs.readdir(root), ['sessions']);
+  assert.equal((await store.get({ appName: 'app', userId: '../u', sessionId: '../../s1' })).id, '../../s1');
+  assert.deepEqual((await store.list({ appName: 'app', userId: '../u' })).map((r) => r.id), ['../../s1']);
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test('file store keeps every append from concurrent writers in one process', async () => {
+  const root = await tempDir();
+  const service = createPersistentSessionService(createFileSessionStore(root));
+  const session = await service.createSession({ appName: 'app', userId: 'u', sessionId: 's1' });
+  await Promise.all(Array.from({ length: 10 }, (_, i) => service.appendEvent({ session, event: event(`e${i}`, `m${i}`) })));
+  assert.equal((await service.getSession({ appName: 'app', userId: 'u', sessionId: 's1' })).events.length, 10);
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test('redis store keeps concurrent appends from separate instances', async () => {
+  const port = 6390;
+  const a = createPersistentSessionService(createRedisSessionStore(undefined, { client: new RedisMock({ port }) }));
+  const b = createPersistentSessionService(createRedisSessionStore(undefined, { client: new RedisMock({ port }) }));
+  const req = { appName: 'app', userId: 'u', sessionId: 's1' };
+  await a.createSession(req);
+  const [sessionA, sessionB] = [await a.getSession(req), await b.getSession(req)];
+
+  await Promise.all(
+    Array.from({ length: 20 }, (_, i) =>
+      i % 2 ? a.appendEvent({ session: sessionA, event: event(`a${i}`, 'from a') }) : b.appendEvent({ session: sessionB, event: event(`b${i}`, 'from b') }),
+    ),
+  );
+  await Promise.all([a.updateState(req, { fromA: 1 }), b.updateState(req, { fromB: 1 })]);
+
+  const stored = await a.getSession(req);
+  assert.equal(stored.events.length, 20);
+  assert.deepEqual(stored.state, { fromA: 1, fromB: 1 });
+});
+
+test('replaceEvents refuses a history that changed since it was read', async () => {
+  const service = createPersistentSessionService(createRedisSessionStore(undefined, { client: new RedisMock({ port: 6391 }) }));
+  const req = { appName: 'app', userId: 'u', sessionId: 's1' };
+  const session = await service.createSession(req);
+  for (const id of ['e1', 'e2', 'e3']) await service.appendEvent({ session, event: event(id, id) });
+
+  const base = await service.getSession(req);
+  const summary = event('sum', 'summary of e1 and e2');
+  // Another writer rewrote the history meanwhile
+  assert.equal(await service.replaceEvents(req, [event('x', 'other')], { baseLength: 3, baseLastEventId: 'e3' }), true);
+  assert.equal(await service.replaceEvents(req, [summary], { baseLength: base.events.length, baseLastEventId: 'e3' }), false);
+  assert.deepEqual((await service.getSession(req)).events.map((e) => e.id), ['x']);
+});
+
+test('session routes reject keys the file store could not hold', async () => {
+  const server = await startApp();
+  try {
+    assert.equal((await server.post(`/apps/tool_agent/users/u/sessions/${'x'.repeat(257)}`)).status, 400);
+    assert.equal((await server.get('/apps/tool.agent/users/u/sessions')).status, 400);
+  } finally {
+    await server.close();
+  }
+});
+
+test("redis keys keep ids containing ':' apart", async () => {
+  const store = createRedisSessionStore(undefined, { client: new RedisMock({ port: 6394 }) });
+  const record = (userId, id) => ({ appName: 'app', userId, id, state: { owner: `${userId}/${id}` }, events: [] });
+  // Joined with ':' both would be adk:session:app:a:b:c
+  await store.put(record('a:b', 'c'));
+  await store.put(record('a', 'b:c'));
+  assert.equal((await store.get({ appName: 'app', userId: 'a:b', sessionId: 'c' })).state.owner, 'a:b/c');
+  assert.equal((await store.get({ appName: 'app', userId: 'a', sessionId: 'b:c' })).state.owner, 'a/b:c');
+  assert.deepEqual((await store.list({ appName: 'app', userId: 'a' })).map((r) => r.id), ['b:c']);
+});
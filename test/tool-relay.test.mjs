@@ -0,0 +1,173 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { setTimeout as sleep } from 'timers/promises';
+import RedisMock from 'ioredis-mock';
+import { createMemoryRelayBus, createRedisRelayBus, createToolRelay } from '../api/server/tool-relay.mjs';
+import { answerText, parseFrames, startApp } from './helpers.mjs';
+
+/** Just enough of an SSE response for relay.connect(). */
+function fakeStream() {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.writableEnded = false;
+  res.setHeader = () => {};
+  res.flushHeaders = () => {};
+  res.write = (chunk) => res.chunks.push(chunk);
+  res.end = () => {
+    res.writableEnded = true;
+    res.emit('close');
+  };
+  res.frames = () => parseFrames(res.chunks.join(''));
+  return res;
+}
+
+async function until(predicate, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await sleep(10);
+  }
+}
+
+/**
+ * Fake extension: holds GET /tool-relay/connect open and answers every relayCall with answer(body).
+ * connectPath is the URL up to the query string, e.g. Vercel's rewritten /api/index?__path=/tool-relay/connect&.
+ * @returns {Promise<{ channelId: string; calls: Object[]; close: () => void }>}
+ */
+async function connectFakeClient(base, { userId, sessionId, connectPath = '/tool-relay/connect?' }, answer) {
+  const controller = new AbortController();
+  const resp = await fetch(`${base}${connectPath}userId=${userId}&sessionId=${sessionId}`, { signal: controller.signal });
+  assert.equal(resp.status, 200);
+  const reader = resp.body.pipeThrough(new TextDecoderStream()).getReader();
+  const calls = [];
+  let buffer = '';
+  let channelId = null;
+  (async () => {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buffer += value;
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      for (const frame of parseFrames(blocks.join('\n'))) {
+        if (frame.relay) channelId = frame.relay.channelId;
+        if (frame.relayCall) {
+          calls.push(frame.relayCall.body);
+          await fetch(`${base}/tool-relay/${channelId}/results/${frame.relayCall.id}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ result: answer(frame.relayCall.body) }),
+          });
+        }
+      }
+    }
+  })().catch(() => {});
+  await until(() => channelId);
+  return { channelId, calls, close: () => controller.abort() };
+}
+
+test("an agent's tool calls reach the client's relay channel", async () => {
+  const toolRelay = createToolRelay({ bus: createMemoryRelayBus(), heartbeatMs: 1000 });
+  const server = await startApp({ toolRelay });
+  try {
+    await server.post('/apps/tool_agent/users/u/sessions/s1');
+    const client = await connectFakeClient(server.base, { userId: 'u', sessionId: 's1' }, (body) => ({ value: `relayed ${body.args.key}` }));
+
+    const { text } = await server.post('/run_sse', { appName: 'tool_agent', userId: 'u', sessionId: 's1', newMessage: { role: 'user', parts: [{ text: 'hi' }] } });
+    const answer = parseFrames(text).map((f) => f.content?.parts?.[0]?.text ?? '').join('');
+    assert.equal(answer, 'lookup said {"value":"relayed answer"}');
+    assert.deepEqual(client.calls, [{ tool: 'lookup', args: { key: 'answer' } }]);
+
+    // The channel id is the credential, and only its own user may answer
+    assert.equal((await server.post('/tool-relay/unknown/run', { tool: 'lookup' })).status, 404);
+    assert.equal((await server.post(`/tool-relay/${client.channelId}/results/nope`, { result: 1 })).status, 404);
+    client.close();
+  } finally {
+    await toolRelay.close();
+    await server.close();
+  }
+});
+
+test("Vercel's __path rewrite keeps the request's other query params", async () => {
+  const toolRelay = createToolRelay({ bus: createMemoryRelayBus(), heartbeatMs: 1000 });
+  const server = await startApp({ toolRelay, pathRewrite: true });
+  try {
+    await server.post('/api/index?__path=/apps/tool_agent/users/u/sessions/s1');
+    const connectPath = '/api/index?__path=/tool-relay/connect&';
+    const client = await connectFakeClient(server.base, { userId: 'u', sessionId: 's1', connectPath }, () => ({ value: 'via rewrite' }));
+    assert.equal(await toolRelay.find('u', 's1'), client.channelId);
+
+    const { text } = await server.post('/api/index?__path=/run_sse', { appName: 'tool_agent', userId: 'u', sessionId: 's1', newMessage: { role: 'user', parts: [{ text: 'hi' }] } });
+    assert.equal(answerText(parseFrames(text)), 'lookup said {"value":"via rewrite"}');
+    client.close();
+  } finally {
+    await toolRelay.close();
+    await server.close();
+  }
+});
+
+test('relayed calls cross instances over the redis bus', async () => {
+  const bus = () => createRedisRelayBus(undefined, { createClient: () => new RedisMock({ port: 6392 }) });
+  const a = createToolRelay({ bus: bus(), heartbeatMs: 1000, reconnectMs: 1000 });
+  const b = createToolRelay({ bus: bus(), heartbeatMs: 1000, reconnectMs: 1000 });
+  try {
+    const stream = fakeStream();
+    const channelId = await a.connect(stream, { userId: 'u', sessionId: 's1' });
+    assert.equal(await b.find('u', 's1'), channelId);
+    assert.equal(await b.find('u', 'other'), null);
+
+    const pending = b.call(channelId, { tool: 'lookup' });
+    await until(() => stream.frames().some((f) => f.relayCall));
+    const { id } = stream.frames().find((f) => f.relayCall).relayCall;
+    assert.equal(await b.resolve(channelId, id, { result: 'x' }, 'mallory'), false);
+    assert.equal(await b.resolve(channelId, id, { result: { value: 1 } }, 'u'), true);
+    assert.deepEqual(await pending, { value: 1 });
+  } finally {
+    await a.close();
+    await b.close();
+  }
+});
+
+test('a dropped channel can reconnect on another instance and gets calls made meanwhile', async () => {
+  const bus = () => createRedisRelayBus(undefined, { createClient: () => new RedisMock({ port: 6393 }) });
+  const a = createToolRelay({ bus: bus(), heartbeatMs: 1000, reconnectMs: 1000 });
+  const b = createToolRelay({ bus: bus(), heartbeatMs: 1000, reconnectMs: 1000 });
+  try {
+    const first = fakeStream();
+    const channelId = await a.connect(first, { userId: 'u', sessionId: 's1' });
+    first.emit('close');
+    await sleep(20);
+    assert.equal(await b.has(channelId), true);
+
+    const pending = a.call(channelId, { tool: 'lookup' });
+    await sleep(50);
+    // Another user can't claim the channel
+    const stranger = fakeStream();
+    assert.notEqual(await b.connect(stranger, { userId: 'mallory', sessionId: 's1', channelId }), channelId);
+
+    const second = fakeStream();
+    assert.equal(await b.connect(second, { userId: 'u', sessionId: 's1', channelId }), channelId);
+    await until(() => second.frames().some((f) => f.relayCall));
+    const { id } = second.frames().find((f) => f.relayCall).relayCall;
+    await a.resolve(channelId, id, { result: 'late' });
+    assert.equal(await pending, 'late');
+  } finally {
+    await a.close();
+    await b.close();
+  }
+});
+
+test('calls fail once the reconnect window has passed', async () => {
+  const relay = createToolRelay({ bus: createMemoryRelayBus(), heartbeatMs: 1000, reconnectMs: 30 });
+  try {
+    const stream = fakeStream();
+    const channelId = await relay.connect(stream, { userId: 'u', sessionId: 's1' });
+    stream.emit('close');
+    await sleep(60);
+    assert.equal(await relay.find('u', 's1'), null);
+    await assert.rejects(relay.call(channelId, { tool: 'lookup' }), /not connected/);
+  } finally {
+    await relay.close();
+  }
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { InMemorySpanExporter } from '@opentelemetry/sdk-trace-node';
+import { flushTracing, isTracingEnabled, traceHeaders, withSpan } from '../api/server/tracing.mjs';
+import { startApp } from './helpers.mjs';
+
+process.env.ADK_TOKENIZER = 'heuristic';
+
+/** Local stand-in for the extension's tool executor; records each request's headers. */
+async function startExecutor() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.headers);
+    req.resume();
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ value: 'from executor' }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}`, requests, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+test('with tracing off, withSpan just calls its function', async () => {
+  assert.equal(isTracingEnabled(), false);
+  assert.equal(await withSpan('noop', {}, (span) => span), null);
+  assert.deepEqual(traceHeaders(), {});
+});
+
+test('a run records server, trimming and tool executor spans in one trace', async () => {
+  const exporter = new InMemorySpanExporter();
+  const executor = await startExecutor();
+  const server = await startApp({ tracing: true, traceExporter: exporter });
+  try {
+    await server.post('/apps/tool_agent/users/u/sessions/s1');
+    const { status } = await server.post('/run_sse', {
+      appName: 'tool_agent',
+      userId: 'u',
+      sessionId: 's1',
+      toolExecutorUrl: executor.url,
+      newMessage: { role: 'user', parts: [{ text: 'hi' }] },
+    });
+    assert.equal(status, 200);
+    await flushTracing();
+
+    const spans = exporter.getFinishedSpans();
+    const byName = (name) => spans.find((s) => s.name === name);
+    for (const name of ['run_sse', 'trim_history', 'tool_executor']) assert.ok(byName(name), `missing ${name} span`);
+    const traceId = byName('run_sse').spanContext().traceId;
+    assert.equal(byName('trim_history').spanContext().traceId, traceId);
+    assert.equal(byName('tool_executor').spanContext().traceId, traceId);
+    assert.equal(byName('run_sse').attributes['adk.outcome'], 'ok');
+
+    // The executor got the trace context of its client span
+    assert.equal(executor.requests.length, 1);
+    assert.equal(executor.requests[0].traceparent.split('-')[1], traceId);
+    assert.equal(executor.requests[0].traceparent.split('-')[2], byName('tool_executor').spanContext().spanId);
+  } finally {
+    await server.close();
+    await executor.close();
+  }
+});
+
+// Tracing stays registered for the rest of this file once the app above turned it on
+test("incoming traceparent headers continue the caller's trace", async () => {
+  const parentTraceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+  const span = await withSpan('outer', { parentHeaders: { traceparent: `00-${parentTraceId}-00f067aa0ba902b7-01` } }, async (s) => s);
+  assert.equal(span.spanContext().traceId, parentTraceId);
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { completeContextReport, createTrimmingSessionService } from '../api/server/trimming-session-service.mjs';
+import { createRequestContext, runWithRequestContext } from '../api/server/request-context.mjs';
+import { PINS_STATE_KEY } from '../api/server/pins.mjs';
+
+// length / 4: deterministic counts without loading a BPE
+process.env.ADK_TOKENIZER = 'heuristic';
+
+let nextId = 0;
+const words = (n) => 'word '.repeat(n);
+
+function user(text) {
+  return { id: `u${++nextId}`, author: 'user', content: { role: 'user', parts: [{ text }] } };
+}
+function answer(text) {
+  return { id: `m${++nextId}`, author: 'agent', content: { role: 'model', parts: [{ text }] } };
+}
+function call(callId, name) {
+  return { id: `c${++nextId}`, author: 'agent', content: { role: 'model', parts: [{ functionCall: { id: callId, name, args: {} } }] } };
+}
+function result(callId, name, response) {
+  return { id: `r${++nextId}`, author: 'agent', content: { role: 'user', parts: [{ functionResponse: { id: callId, name, response } }] } };
+}
+
+/** A tool turn: question, call, result, answer. */
+function toolTurn(n, resultWords) {
+  return [user(`question ${n} ${words(100)}`), call(`call${n}`, 'read_file'), result(`call${n}`, 'read_file', { content: words(resultWords) }), answer(`answer ${n} ${words(100)}`)];
+}
+
+function innerService(session) {
+  return {
+    async getSession() {
+      return structuredClone(session);
+    },
+  };
+}
+
+function assertNoOrphans(events) {
+  const calls = new Set();
+  const results = new Set();
+  for (const ev of events) {
+    for (const p of ev.content.parts) {
+      if (p.functionCall) calls.add(p.functionCall.id);
+      if (p.functionResponse) results.add(p.functionResponse.id);
+    }
+  }
+  assert.deepEqual([...calls].sort(), [...results].sort());
+}
+
+const req = { appName: 'app', userId: 'u', sessionId: 's1' };
+
+test('history under budget is returned untouched', async () => {
+  const session = { id: 's1', state: {}, events: toolTurn(1, 10) };
+  const trimmed = await createTrimmingSessionService(innerService(session), 8000, 0).getSession(req);
+  assert.deepEqual(trimmed.events, session.events);
+});
+
+test('large old tool results are stubbed before anything is dropped', async () => {
+  const session = { id: 's1', state: {}, events: [...toolTurn(1, 4000), ...toolTurn(2, 10), user('latest')] };
+  const trimmed = await createTrimmingSessionService(innerService(session), 3000, 0).getSession(req);
+  assert.equal(trimmed.events.length, session.events.length);
+  const stub = trimmed.events[2].content.parts[0].functionResponse.response;
+  assert.equal(stub.trimmed, true);
+  assert.match(stub.note, /read_file/);
+});
+
+test('only the oversized results of a multi-result event are stubbed', async () => {
+  const calls = { id: 'c-both', author: 'agent', content: { role: 'model', parts: [{ functionCall: { id: 'big', name: 'read_file', args: {} } }, { functionCall: { id: 'small', name: 'list_dir', args: {} } }] } };
+  const results = {
+    id: 'r-both',
+    author: 'agent',
+    content: {
+      role: 'user',
+      parts: [
+        { functionResponse: { id: 'big', name: 'read_file', response: { content: words(4000) } } },
+        { functionResponse: { id: 'small', name: 'list_dir', response: { entries: ['a', 'b'] } } },
+      ],
+    },
+  };
+  const session = { id: 's1', state: {}, events: [user('question'), calls, results, answer('done'), ...toolTurn(2, 10), user('latest')] };
+  const trimmed = await createTrimmingSessionService(innerService(session), 3000, 0).getSession(req);
+  const [big, small] = trimmed.events[2].content.parts.map((p) => p.functionResponse.response);
+  assert.equal(big.trimmed, true);
+  assert.deepEqual(small, { entries: ['a', 'b'] });
+});
+
+test('trimming keeps or drops a tool call together with its result', async () => {
+  process.env.ADK_TOOL_RESULT_STUB_TOKENS = '100000';
+  try {
+    const turns = [1, 2, 3, 4, 5, 6].flatMap((n) => toolTurn(n, 500));
+    const session = { id: 's1', state: {}, events: [...turns, user('latest')] };
+    const trimmed = await createTrimmingSessionService(innerService(session), 2000, 0).getSession(req);
+    assert.ok(trimmed.events.length < session.events.length);
+    assertNoOrphans(trimmed.events);
+    assert.equal(trimmed.events.at(-1).content.parts[0].text, 'latest');
+  } finally {
+    delete process.env.ADK_TOOL_RESULT_STUB_TOKENS;
+  }
+});
+
+test('pinned events survive trimming', async () => {
+  const spec = user(`the spec ${words(50)}`);
+  const turns = [1, 2, 3, 4, 5, 6].flatMap((n) => toolTurn(n, 500));
+  const session = { id: 's1', state: { [PINS_STATE_KEY]: [{ eventId: spec.id, pinnedAt: 1 }] }, events: [spec, ...turns, user('latest')] };
+  const trimmed = await createTrimmingSessionService(innerService(session), 2000, 0).getSession(req);
+  assert.ok(trimmed.events.length < session.events.length);
+  assert.equal(trimmed.events[0].id, spec.id);
+});
+
+test("context report covers the run's message and tool events, not the final answer", async () => {
+  const session = { id: 's1', state: {}, events: toolTurn(1, 10) };
+  const service = createTrimmingSessionService(innerService(session), 8000, 0);
+  const ctx = createRequestContext();
+  const report = await runWithRequestContext(ctx, async () => {
+    const runnerSession = await service.getSession(req);
+    // What the runner appends during the run
+    const newTurn = toolTurn(2, 10);
+    runnerSession.events.push(...newTurn);
+    const completed = await completeContextReport(ctx);
+    return { completed, newTurn };
+  });
+  assert.equal(ctx.contextReport.events.length, 4);
+  assert.deepEqual(
+    report.completed.events.map((e) => e.id),
+    [...session.events, ...report.newTurn.slice(0, 3)].map((e) => e.id),
+  );
+  assert.equal(report.completed.totalEvents, 7);
+  assert.ok(report.completed.events.every((e) => e.tokens > 0));
+});